@@ -6,28 +6,157 @@ const cors = require("cors");
 const express = require("express");
 const app = express();
 const socketUtils = require("./utils/socketUtils");
+const { createAirspace } = require("./utils/airspace");
+const { createHistoryStore } = require("./utils/historyStore");
+const dronesRouter = require("./routes/drones");
+const historyRouter = require("./routes/history");
+const telemetryRouter = require("./routes/telemetry");
+const authRouter = require("./routes/auth");
+const exportRouter = require("./routes/export");
+const { createAuth, loadUsers, hashPassword } = require("./utils/auth");
+const { createIngestor, isIngestEnabled } = require("./utils/ingest");
+const { loadTelemetrySchema } = require("./utils/telemetry");
+const { loadExporters } = require("./utils/exporters");
+const { createAuthorization } = require("./utils/authorization");
+const { loadConfig, usage } = require("./utils/config");
+
+dotenv.config();
+
+if (process.argv.includes("--help")) {
+  console.log(usage());
+  process.exit(0);
+}
+
+// node index.js --hash-password <password> -> hash for the users file
+const hashPasswordIndex = process.argv.indexOf("--hash-password");
+if (hashPasswordIndex !== -1) {
+  const password = process.argv[hashPasswordIndex + 1];
+  if (!password) {
+    console.error("Usage: node index.js --hash-password <password>");
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+  process.exit(0);
+}
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}\n\n${usage()}`);
+  process.exit(1);
+}
+
+let users = null;
+if (config.usersFile) {
+  try {
+    users = loadUsers(config.usersFile);
+  } catch (error) {
+    console.error(`Invalid users file: ${error.message}`);
+    process.exit(1);
+  }
+}
+const auth = createAuth({ users, secret: config.authSecret, tokenTtlMinutes: config.tokenTtlMinutes });
 
 const server = http.createServer(app);
-const io = socketUtils.sio(server);
-socketUtils.connection(io);
+const io = socketUtils.sio(server, auth);
+const airspace = createAirspace(config);
+const history = createHistoryStore(config);
+const authorization = createAuthorization(config.authorizationRulesFile);
+const simulation = socketUtils.connection(io, config, airspace, history, authorization);
+let ingestor; // created once the telemetry schema is loaded, before listening
+let exporters; // shared/exporters.js, loaded with the schema
 
 const socketIOMiddleware = (req, res, next) => {
   req.io = io;
   next();
 };
 
+const airspaceMiddleware = (req, res, next) => {
+  req.airspace = airspace;
+  next();
+};
+
+const historyMiddleware = (req, res, next) => {
+  req.history = history;
+  next();
+};
+
+const authorizationMiddleware = (req, res, next) => {
+  req.authorization = authorization;
+  next();
+};
+
+const authMiddleware = (req, res, next) => {
+  req.auth = auth;
+  next();
+};
+
+const exportMiddleware = (req, res, next) => {
+  req.exporters = exporters;
+  next();
+};
+
+const ingestMiddleware = (req, res, next) => {
+  req.ingestor = ingestor;
+  req.ingestToken = config.ingestToken;
+  req.ingestEnabled = isIngestEnabled(config);
+  next();
+};
+
 // CORS
 app.use(cors());
 
-// // ROUTES
-// app.use("/api/v1/hello", socketIOMiddleware, (req, res) => {
-//   req.io.emit("message", `Hello, ${req.originalUrl}`);
-//   res.send("hello world!");
-// });
+// ROUTES
+app.use("/api/v1/auth", authMiddleware, authRouter);
+app.use("/api/v1/drones", auth.authenticate, airspaceMiddleware, historyMiddleware, authorizationMiddleware, dronesRouter);
+app.use("/api/v1/history", auth.authenticate, historyMiddleware, historyRouter);
+app.use("/api/v1/export", auth.authenticate, airspaceMiddleware, historyMiddleware, exportMiddleware, exportRouter);
+app.use("/api/v1/telemetry", authMiddleware, ingestMiddleware, telemetryRouter);
+
 
+// LISTEN once the shared modules, the authorization rules and the history file are loaded
+const port = config.port;
+Promise.all([loadTelemetrySchema(), loadExporters(), authorization.ready, history.ready])
+  .then(([schema, sharedExporters]) => {
+    exporters = sharedExporters;
+    ingestor = createIngestor({
+      airspace,
+      history,
+      broadcast: (featureCollection) => socketUtils.broadcast(io, authorization, featureCollection),
+      schema,
+    });
+    socketUtils.publishers(io, config, ingestor);
 
-// LISTEN
-const port = 9013;
-server.listen(port, () => {
-  console.log(`App running on port ${port}...`);
-});
+    server.listen(port, () => {
+      console.log(`App running on port ${port}...`);
+      console.log(
+        `Simulating ${config.fleetSize} drones every ${config.tickMs} ms (scenario: ${config.scenario})`
+      );
+      if (config.ingestToken) {
+        console.log("Accepting telemetry on POST /api/v1/telemetry and the /publish namespace (token required)");
+      } else if (config.openIngest) {
+        console.warn("Accepting telemetry from anyone on POST /api/v1/telemetry and the /publish namespace: set INGEST_TOKEN to require a token");
+      } else {
+        console.log("Telemetry ingestion is off: set INGEST_TOKEN (or OPEN_INGEST=true) to accept publishers");
+      }
+      if (!auth.enabled) {
+        console.log("Authentication is off: set USERS_FILE to require a dashboard login");
+      } else if (!config.authSecret) {
+        console.log("AUTH_SECRET is not set: sessions end when the server restarts");
+      }
+    });
+  })
+  .catch((error) => {
+    console.error(`Failed to start: ${error.message}`);
+    process.exit(1);
+  });
+
+// Stop the broadcast loop when the server goes away
+server.on("close", () => simulation.stop());
+
+const shutdown = () => {
+  io.close(() => history.close(() => process.exit(0)));
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,54 @@
+const express = require("express");
+const { bearerToken, permissionsFor } = require("../utils/auth");
+
+const router = express.Router();
+
+router.use(express.json());
+
+// POST /api/v1/auth/login { username, password } -> { token, expiresAt, user, permissions }
+router.post("/login", async (req, res, next) => {
+  if (!req.auth.enabled) {
+    return res.status(404).json({ error: "Authentication is not enabled on this server" });
+  }
+
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res.status(400).json({ error: "username and password are required" });
+  }
+
+  let session;
+  try {
+    session = await req.auth.login(username, password);
+  } catch (error) {
+    return next(error);
+  }
+  if (!session) {
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+
+  res.json({
+    token: session.token,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    user: session.user,
+    permissions: permissionsFor(session.user.role),
+  });
+});
+
+// GET /api/v1/auth/session -> whether login is required and who the bearer token belongs to
+router.get("/session", (req, res) => {
+  const user = req.auth.verifyToken(bearerToken(req));
+
+  res.json({
+    authRequired: req.auth.enabled,
+    user,
+    permissions: user ? permissionsFor(user.role) : [],
+  });
+});
+
+// Malformed JSON bodies
+router.use((error, req, res, next) => {
+  if (!error.status) return next(error);
+  res.status(error.status).json({ error: error.message });
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require("express");
+const { parseTimeRange } = require("../utils/timeRange");
+const { hasPermission, redactFeature, redactFeatureCollection } = require("../utils/auth");
+
+const router = express.Router();
+
+// Viewers get features without pilot details; `authorization` is set before
+// they are removed, so it matches what operators see
+const canViewPilots = (req) => hasPermission(req.user.role, "viewPilotDetails");
+
+// GET /api/v1/drones -> current airspace snapshot as a GeoJSON FeatureCollection
+// (drones heard from within the last 15 s)
+router.get("/", (req, res) => {
+  const snapshot = req.authorization.classifyFeatureCollection(req.airspace.getSnapshot());
+  res.json(canViewPilots(req) ? snapshot : redactFeatureCollection(snapshot));
+});
+
+// GET /api/v1/drones/stats -> aggregate counts, classified with the dashboard's authorization rules
+router.get("/stats", (req, res) => {
+  const stats = req.airspace.getStats(req.authorization.classify);
+  res.json({
+    ...stats,
+    updatedAt: stats.updatedAt && new Date(stats.updatedAt).toISOString(),
+  });
+});
+
+// GET /api/v1/drones/:serial -> latest feature with first/last seen times
+router.get("/:serial", (req, res) => {
+  const drone = req.airspace.getDrone(req.params.serial);
+  if (!drone) {
+    return res.status(404).json({ error: `Drone ${req.params.serial} not found` });
+  }
+
+  const classified = req.authorization.classifyFeature(drone.feature);
+  const feature = canViewPilots(req) ? classified : redactFeature(classified);
+  res.json({
+    ...feature,
+    properties: {
+      ...feature.properties,
+      firstSeen: new Date(drone.firstSeen).toISOString(),
+      lastSeen: new Date(drone.lastSeen).toISOString(),
+    },
+  });
+});
+
+// GET /api/v1/drones/:serial/track?limit=N -> recent track as a LineString
+router.get("/:serial/track", (req, res) => {
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+
+  const track = req.airspace.getTrack(req.params.serial, limit);
+  if (!track) {
+    return res.status(404).json({ error: `Drone ${req.params.serial} not found` });
+  }
+
+  res.json({
+    "type": "Feature",
+    "properties": {
+      "serial": req.params.serial,
+      "timestamps": track.map((point) => new Date(point.timestamp).toISOString()),
+      "altitudes": track.map((point) => point.altitude),
+      "yaws": track.map((point) => point.yaw),
+    },
+    "geometry": {
+      "type": "LineString",
+      "coordinates": track.map((point) => point.coordinates),
+    },
+  });
+});
+
+// GET /api/v1/drones/:serial/history?from=&to= -> stored track in a time range
+router.get("/:serial/history", (req, res) => {
+  let range;
+  try {
+    range = parseTimeRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const points = req.history.query(req.params.serial, range);
+  if (!points) {
+    return res.status(404).json({ error: `No history for drone ${req.params.serial}` });
+  }
+
+  res.json({
+    "type": "Feature",
+    "properties": {
+      "serial": req.params.serial,
+      "timestamps": points.map((point) => new Date(point.t).toISOString()),
+      "altitudes": points.map((point) => point.altitude),
+      "yaws": points.map((point) => point.yaw),
+    },
+    "geometry": {
+      "type": "LineString",
+      "coordinates": points.map((point) => point.coordinates),
+    },
+  });
+});
+
+module.exports = router;
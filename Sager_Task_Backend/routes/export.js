@@ -0,0 +1,49 @@
+const express = require("express");
+const { parseTimeRange } = require("../utils/timeRange");
+const { snapshotTracks, historyTracks } = require("../utils/exporters");
+
+const router = express.Router();
+
+// Validates ?format= (default geojson) and sends the export as a download
+const sendExport = (req, res, tracks, prefix, title) => {
+  const format = String(req.query.format || "geojson").toLowerCase();
+  if (!(format in req.exporters.EXPORT_FORMATS)) {
+    return res.status(400).json({
+      error: `format must be one of ${Object.keys(req.exporters.EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  const { content, mimeType } = req.exporters.exportTracks(tracks, format, { title });
+  res.attachment(req.exporters.exportFilename(prefix, format));
+  res.type(mimeType).send(content);
+};
+
+const parseSerials = (value) => (value ? new Set(String(value).split(",")) : null);
+
+// GET /api/v1/export/airspace?format=&serial=a,b -> latest position of every drone
+router.get("/airspace", (req, res) => {
+  const serials = parseSerials(req.query.serial);
+  const entries = req.airspace
+    .getSnapshot()
+    .features.filter((feature) => !serials || serials.has(feature.properties.serial))
+    .map((feature) => req.airspace.getDrone(feature.properties.serial));
+
+  sendExport(req, res, snapshotTracks(entries), "airspace", "Airspace snapshot");
+});
+
+// GET /api/v1/export/history?format=&from=&to=&serial=a,b -> stored tracks in a time range,
+// capped like GET /api/v1/history; X-History-Truncated tells when older points were left out
+router.get("/history", (req, res) => {
+  let range;
+  try {
+    range = parseTimeRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { tracks, truncated } = req.history.queryAll(range, { serials: parseSerials(req.query.serial) });
+  res.set("X-History-Truncated", String(truncated));
+  sendExport(req, res, historyTracks(tracks), "history", "Drone tracks");
+});
+
+module.exports = router;
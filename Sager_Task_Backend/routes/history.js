@@ -0,0 +1,36 @@
+const express = require("express");
+const { parseTimeRange } = require("../utils/timeRange");
+
+const router = express.Router();
+
+// GET /api/v1/history?from=&to=&serial= -> recorded tracks of every drone in the range,
+// at most MAX_QUERY_POINTS points (the most recent; `truncated` is then true)
+router.get("/", (req, res) => {
+  let range;
+  try {
+    range = parseTimeRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const serials = req.query.serial ? new Set(String(req.query.serial).split(",")) : null;
+  const { tracks, truncated } = req.history.queryAll(range, { serials });
+
+  res.json({
+    from: range.from > 0 ? new Date(range.from).toISOString() : null,
+    to: Number.isFinite(range.to) ? new Date(range.to).toISOString() : null,
+    truncated,
+    tracks: tracks.map(({ serial, points }) => ({
+      serial,
+      registration: points[points.length - 1].registration,
+      points: points.map((point) => ({
+        timestamp: point.t,
+        coordinates: [...point.coordinates.slice(0, 2), point.altitude],
+        yaw: point.yaw,
+        speed: point.speed,
+      })),
+    })),
+  });
+});
+
+module.exports = router;
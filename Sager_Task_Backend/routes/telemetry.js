@@ -0,0 +1,48 @@
+const express = require("express");
+const { isIngestTokenValid, INGEST_DISABLED_MESSAGE } = require("../utils/ingest");
+
+const router = express.Router();
+
+// GET /api/v1/telemetry/stats -> ingestion counters since startup and the latest
+// rejections; read by dashboard users with a session, not by publishers
+router.get("/stats", (req, res, next) => req.auth.authenticate(req, res, next), (req, res) => {
+  res.json(req.ingestor.getStats());
+});
+
+// Bearer token check, when the server has an ingest token configured
+router.use((req, res, next) => {
+  if (!req.ingestEnabled) {
+    return res.status(403).json({ error: INGEST_DISABLED_MESSAGE });
+  }
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : undefined;
+  if (!isIngestTokenValid(req.ingestToken, token)) {
+    return res.status(401).json({ error: "Missing or invalid ingest token" });
+  }
+  next();
+});
+
+router.use(express.json({ limit: "5mb" }));
+
+// POST /api/v1/telemetry -> publish a Feature, FeatureCollection or array of Features
+router.post("/", (req, res) => {
+  let result;
+  try {
+    result = req.ingestor.ingest(req.body, `HTTP ${req.ip}`);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (result.accepted === 0 && result.rejected.length > 0) {
+    return res.status(400).json({ error: "No valid messages", ...result });
+  }
+  res.status(202).json(result);
+});
+
+// Malformed or oversized JSON bodies
+router.use((error, req, res, next) => {
+  if (!error.status) return next(error);
+  res.status(error.status).json({ error: error.message });
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// In-memory airspace state: the latest feature of every drone plus a short
+// rolling track, fed by the broadcast loop and read by the REST routes.
+// Drones silent for longer than `droneMaxAgeSeconds` are forgotten; the
+// snapshot and the stats only count drones heard from recently, the same
+// cut the dashboard uses to mark a drone as lost.
+
+// Drones silent for longer than this are left out of the current airspace
+const CURRENT_MAX_AGE_MS = 15000;
+
+// Minimum time between two eviction passes triggered by updates
+const EVICTION_INTERVAL_MS = 5000;
+
+exports.CURRENT_MAX_AGE_MS = CURRENT_MAX_AGE_MS;
+
+exports.createAirspace = ({ trackLength, droneMaxAgeSeconds }) => {
+  const maxAgeMs = droneMaxAgeSeconds * 1000;
+  const drones = new Map(); // serial -> { feature, firstSeen, lastSeen }
+  const tracks = new Map(); // serial -> [{ coordinates, altitude, yaw, timestamp }]
+  let updatedAt = null;
+  let lastEviction = 0;
+
+  // Forgets drones not seen since `now - droneMaxAgeSeconds`
+  const evict = (now = Date.now()) => {
+    const cutoff = now - maxAgeMs;
+    drones.forEach((entry, serial) => {
+      if (entry.lastSeen < cutoff) {
+        drones.delete(serial);
+        tracks.delete(serial);
+      }
+    });
+    lastEviction = now;
+  };
+
+  const update = (featureCollection, timestamp = Date.now()) => {
+    featureCollection.features.forEach((feature) => {
+      const serial = feature.properties.serial;
+      const existing = drones.get(serial);
+
+      drones.set(serial, {
+        feature,
+        firstSeen: existing ? existing.firstSeen : timestamp,
+        lastSeen: timestamp,
+      });
+
+      const track = tracks.get(serial) || [];
+      track.push({
+        coordinates: feature.geometry.coordinates,
+        altitude: feature.properties.altitude,
+        yaw: feature.properties.yaw,
+        timestamp,
+      });
+      if (track.length > trackLength) {
+        track.shift();
+      }
+      tracks.set(serial, track);
+    });
+
+    updatedAt = timestamp;
+    if (timestamp - lastEviction >= EVICTION_INTERVAL_MS) {
+      evict(timestamp);
+    }
+  };
+
+  const currentEntries = () => {
+    evict();
+    const since = Date.now() - CURRENT_MAX_AGE_MS;
+    return Array.from(drones.values()).filter((entry) => entry.lastSeen >= since);
+  };
+
+  // Latest feature of every drone heard from within CURRENT_MAX_AGE_MS
+  const getSnapshot = () => {
+    const entries = currentEntries();
+    return {
+      "type": "FeatureCollection",
+      "features": entries.map((entry) => entry.feature),
+    };
+  };
+
+  // Drones stay available here until they are evicted, so a lost drone can
+  // still be looked up
+  const getDrone = (serial) => {
+    evict();
+    return drones.get(serial) || null;
+  };
+
+  const getTrack = (serial, limit = trackLength) => {
+    evict();
+    const track = tracks.get(serial);
+    return track ? track.slice(-limit) : null;
+  };
+
+  // Counts per authorization result over the current airspace; `classify`
+  // maps a feature to authorized, unauthorized or unknown (see utils/authorization.js)
+  const getStats = (classify) => {
+    const entries = currentEntries();
+    const counts = { authorized: 0, unauthorized: 0, unknown: 0 };
+    entries.forEach((entry) => {
+      counts[classify(entry.feature)]++;
+    });
+
+    return {
+      total: entries.length,
+      ...counts,
+      updatedAt,
+    };
+  };
+
+  return { update, getSnapshot, getDrone, getTrack, getStats };
+};
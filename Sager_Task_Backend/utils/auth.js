@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { promisify } = require("util");
+
+// User accounts, signed session tokens and role-based permissions for the
+// dashboard connection and the REST routes. Publishers keep using the ingest
+// token (see utils/ingest.js).
+//
+// Accounts come from a JSON file (USERS_FILE):
+//
+//   { "users": [{ "username": "amal", "role": "operator", "password": "scrypt$<salt>$<hash>" }] }
+//
+// Hashes are produced by `node index.js --hash-password <password>`. Without a
+// users file authentication is off and every client is treated as an admin.
+
+const ROLES = {
+  VIEWER: "viewer",
+  OPERATOR: "operator",
+  ADMIN: "admin",
+};
+
+const ROLE_RANK = { viewer: 0, operator: 1, admin: 2 };
+
+// permission -> lowest role holding it
+const PERMISSIONS = {
+  viewPilotDetails: ROLES.OPERATOR,
+  acknowledgeAlerts: ROLES.OPERATOR,
+};
+
+const ANONYMOUS_USER = { username: "anonymous", role: ROLES.ADMIN };
+
+const SCRYPT_KEY_LENGTH = 32;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Checked instead of a real hash for unknown usernames, so a login takes as
+// long whether or not the account exists
+const DUMMY_PASSWORD_HASH = `scrypt$${crypto.randomBytes(16).toString("hex")}$${crypto
+  .randomBytes(SCRYPT_KEY_LENGTH)
+  .toString("hex")}`;
+
+exports.ROLES = ROLES;
+exports.PERMISSIONS = PERMISSIONS;
+
+const hasPermission = (role, permission) =>
+  permission in PERMISSIONS && ROLE_RANK[role] >= ROLE_RANK[PERMISSIONS[permission]];
+
+exports.hasPermission = hasPermission;
+
+exports.permissionsFor = (role) => Object.keys(PERMISSIONS).filter((permission) => hasPermission(role, permission));
+
+exports.hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+};
+
+// Resolves to whether `password` matches the stored hash; hashing runs on the
+// libuv thread pool so logins don't block the event loop
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  if (expected.length === 0) return false;
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// username -> { username, role, password }; throws on a malformed file
+exports.loadUsers = (file) => {
+  const { users } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(users) || users.length === 0) {
+    throw new Error(`${file} must contain a non-empty "users" array`);
+  }
+
+  const accounts = new Map();
+  users.forEach((user, index) => {
+    if (!user.username || !user.password) {
+      throw new Error(`User #${index} in ${file} needs a username and a password hash`);
+    }
+    if (!(user.role in ROLE_RANK)) {
+      throw new Error(`User ${user.username} has unknown role "${user.role}" (${Object.values(ROLES).join(", ")})`);
+    }
+    accounts.set(user.username, { username: user.username, role: user.role, password: user.password });
+  });
+  return accounts;
+};
+
+const bearerToken = (req) => {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : undefined;
+};
+
+exports.bearerToken = bearerToken;
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+// Tokens are `<base64url payload>.<base64url HMAC-SHA256>` with the payload
+// { sub, exp }. The role is looked up on every request, so role changes and
+// removed accounts take effect when the server restarts with the new file.
+exports.createAuth = ({ users = null, secret, tokenTtlMinutes }) => {
+  const enabled = users !== null;
+  const key = secret || crypto.randomBytes(32).toString("hex");
+
+  const sign = (payload) => crypto.createHmac("sha256", key).update(payload).digest("base64url");
+
+  const issueToken = (user) => {
+    const expiresAt = Date.now() + tokenTtlMinutes * 60 * 1000;
+    const payload = base64url(JSON.stringify({ sub: user.username, exp: expiresAt }));
+    return { token: `${payload}.${sign(payload)}`, expiresAt };
+  };
+
+  // -> { username, role } or null; everyone is ANONYMOUS_USER while auth is off
+  const verifyToken = (token) => {
+    if (!enabled) return ANONYMOUS_USER;
+    if (typeof token !== "string") return null;
+
+    const [payload, signature] = token.split(".");
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch (error) {
+      return null;
+    }
+    const user = claims.exp > Date.now() && users.get(claims.sub);
+    return user ? { username: user.username, role: user.role } : null;
+  };
+
+  // Resolves to { token, expiresAt, user } or null for a wrong username or password
+  const login = async (username, password) => {
+    const user = enabled && users.get(username);
+    const valid = await verifyPassword(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) return null;
+    return { ...issueToken(user), user: { username: user.username, role: user.role } };
+  };
+
+  // Express middleware: sets req.user or answers 401
+  const authenticate = (req, res, next) => {
+    const user = verifyToken(bearerToken(req));
+    if (!user) {
+      return res.status(401).json({ error: "Missing, invalid or expired session token" });
+    }
+    req.user = user;
+    next();
+  };
+
+  return { enabled, login, verifyToken, authenticate };
+};
+
+// Drops what viewers may not see from a feature
+const redactFeature = (feature) => {
+  const properties = { ...feature.properties };
+  delete properties.pilot;
+  return { ...feature, properties };
+};
+
+exports.redactFeature = redactFeature;
+
+exports.redactFeatureCollection = (featureCollection) => ({
+  ...featureCollection,
+  features: featureCollection.features.map(redactFeature),
+});
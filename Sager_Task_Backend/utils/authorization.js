@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+// Authorization rules shared with the dashboard (shared/authorizationRules.js).
+// The server reads the same rules file the dashboard fetches and classifies
+// every drone before it is sent, so viewers, whose features lack pilot
+// details, get the same result as operators for rules matching on `pilots`.
+
+const ENGINE_PATH = path.join(__dirname, "..", "..", "shared", "authorizationRules.js");
+
+exports.DEFAULT_RULES_FILE = path.join(__dirname, "..", "..", "drone_tracker_frontend", "public", "authorization-rules.json");
+
+// The rule engine is an ES module, so it is loaded in the background like the
+// history file: `ready` resolves once it is, and rejects on an invalid rules
+// file. Until then features are sent unclassified.
+exports.createAuthorization = (rulesFile) => {
+  let engine = null;
+
+  // -> authorized, unauthorized or unknown
+  const classify = (feature) => {
+    const { serial, registration, pilot, organization } = feature.properties;
+    return engine.classify({ id: serial, registration, pilot, organization });
+  };
+
+  // Copy with `properties.authorization` set on every feature
+  const classifyFeature = (feature) =>
+    engine ? { ...feature, properties: { ...feature.properties, authorization: classify(feature) } } : feature;
+
+  const classifyFeatureCollection = (featureCollection) => ({
+    ...featureCollection,
+    features: featureCollection.features.map(classifyFeature),
+  });
+
+  // A missing rules file keeps the engine's default rules
+  async function load() {
+    const { AuthorizationRuleEngine } = await import(pathToFileURL(ENGINE_PATH).href);
+    const rulesEngine = new AuthorizationRuleEngine();
+
+    if (fs.existsSync(rulesFile)) {
+      const { rules } = JSON.parse(fs.readFileSync(rulesFile, "utf8"));
+      try {
+        rulesEngine.setRules(rules);
+      } catch (error) {
+        throw new Error(`Invalid authorization rules in ${rulesFile}: ${error.message}`);
+      }
+    } else {
+      console.warn(`Authorization rules file ${rulesFile} not found, using the default rules`);
+    }
+    engine = rulesEngine;
+  }
+
+  const ready = load();
+
+  return { ready, classify, classifyFeature, classifyFeatureCollection };
+};
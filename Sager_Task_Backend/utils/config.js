@@ -0,0 +1,193 @@
+const { DEFAULT_RULES_FILE } = require("./authorization");
+const { SERIAL_LENGTH } = require("./fleetSimulator");
+const { CURRENT_MAX_AGE_MS } = require("./airspace");
+
+// Simulator configuration. Values are resolved in order of precedence:
+// command-line flags > environment (.env) > scenario preset > defaults.
+
+const DEFAULTS = {
+  port: 9013,
+  fleetSize: 10,
+  tickMs: 1000,
+  // [minLng, minLat, maxLng, maxLat] around Amman
+  bbox: [35.83131881204147, 31.84878648036645, 36.03131881204147, 32.04878648036645],
+  authorizedRatio: 0.5,
+  altitudeMin: 20,
+  altitudeMax: 120,
+  speedMin: 5,
+  speedMax: 20,
+  idAlphabet: "ABCD",
+  trackLength: 300, // points kept per drone for /drones/:serial/track
+  droneMaxAgeSeconds: 120, // silence after which a drone is forgotten, like the dashboard's expiry
+  historyFile: "data/history.ndjson",
+  historyRetentionMinutes: 60,
+  historyMaxPoints: 500000, // positions kept in memory, the oldest are dropped first
+  authorizationRulesFile: DEFAULT_RULES_FILE, // the dashboard's public/authorization-rules.json
+  ingestToken: null, // shared secret publishers must send; no token = ingestion refused
+  openIngest: false, // accept publishers without a token
+  usersFile: null, // dashboard accounts (see utils/auth.js); no file = no login
+  authSecret: null, // HMAC key for session tokens; random per start when unset
+  tokenTtlMinutes: 720,
+};
+
+// Named presets for reproducing specific traffic conditions
+const SCENARIOS = {
+  default: {},
+  quiet: { fleetSize: 3, authorizedRatio: 1 },
+  busy: { fleetSize: 100, authorizedRatio: 0.8 },
+  stress: { fleetSize: 5000, tickMs: 1000, idAlphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789" },
+  intrusion: { fleetSize: 20, authorizedRatio: 0, altitudeMin: 80, altitudeMax: 400 },
+  "low-altitude": { fleetSize: 15, altitudeMin: 5, altitudeMax: 40, speedMin: 2, speedMax: 8 },
+};
+
+// name -> [env variable, CLI flag, parser]
+const OPTIONS = {
+  port: ["PORT", "--port", parseInteger],
+  fleetSize: ["FLEET_SIZE", "--fleet-size", parseInteger],
+  tickMs: ["TICK_MS", "--tick-ms", parseInteger],
+  bbox: ["BBOX", "--bbox", parseBbox],
+  authorizedRatio: ["AUTHORIZED_RATIO", "--authorized-ratio", parseNumber],
+  altitudeMin: ["ALTITUDE_MIN", "--altitude-min", parseNumber],
+  altitudeMax: ["ALTITUDE_MAX", "--altitude-max", parseNumber],
+  speedMin: ["SPEED_MIN", "--speed-min", parseNumber],
+  speedMax: ["SPEED_MAX", "--speed-max", parseNumber],
+  idAlphabet: ["ID_ALPHABET", "--id-alphabet", parseString],
+  trackLength: ["TRACK_LENGTH", "--track-length", parseInteger],
+  droneMaxAgeSeconds: ["DRONE_MAX_AGE_SECONDS", "--drone-max-age", parseNumber],
+  historyFile: ["HISTORY_FILE", "--history-file", parseString],
+  historyRetentionMinutes: ["HISTORY_RETENTION_MINUTES", "--history-retention", parseNumber],
+  historyMaxPoints: ["HISTORY_MAX_POINTS", "--history-max-points", parseInteger],
+  authorizationRulesFile: ["AUTHORIZATION_RULES_FILE", "--authorization-rules", parseString],
+  ingestToken: ["INGEST_TOKEN", "--ingest-token", parseString],
+  openIngest: ["OPEN_INGEST", "--open-ingest", parseBoolean],
+  usersFile: ["USERS_FILE", "--users-file", parseString],
+  authSecret: ["AUTH_SECRET", "--auth-secret", parseString],
+  tokenTtlMinutes: ["TOKEN_TTL_MINUTES", "--token-ttl", parseNumber],
+};
+
+exports.SCENARIOS = SCENARIOS;
+
+exports.loadConfig = (argv = process.argv.slice(2), env = process.env) => {
+  const flags = parseFlags(argv);
+  const scenarioName = flags["--scenario"] || env.SCENARIO || "default";
+  const scenario = SCENARIOS[scenarioName];
+
+  if (!scenario) {
+    throw new Error(
+      `Unknown scenario "${scenarioName}". Available: ${Object.keys(SCENARIOS).join(", ")}`
+    );
+  }
+
+  const config = { ...DEFAULTS, ...scenario, scenario: scenarioName };
+
+  Object.entries(OPTIONS).forEach(([name, [envName, flag, parse]]) => {
+    if (flags[flag] !== undefined) {
+      config[name] = parse(flags[flag], flag);
+    } else if (env[envName] !== undefined && env[envName] !== "") {
+      config[name] = parse(env[envName], envName);
+    }
+  });
+
+  validate(config);
+  return config;
+};
+
+exports.usage = () => {
+  const lines = Object.entries(OPTIONS).map(
+    ([name, [envName, flag]]) => `  ${flag.padEnd(20)} ${envName.padEnd(18)} default: ${DEFAULTS[name] ?? "none"}`
+  );
+  return [
+    "Usage: node index.js [options]",
+    "",
+    "  flag                 env variable",
+    `  ${"--scenario".padEnd(20)} ${"SCENARIO".padEnd(18)} one of: ${Object.keys(SCENARIOS).join(", ")}`,
+    ...lines,
+  ].join("\n");
+};
+
+// Accepts both `--flag value` and `--flag=value`
+function parseFlags(argv) {
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) continue;
+
+    const equals = arg.indexOf("=");
+    if (equals !== -1) {
+      flags[arg.slice(0, equals)] = arg.slice(equals + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags[arg] = argv[++i];
+    } else {
+      flags[arg] = "true";
+    }
+  }
+
+  return flags;
+}
+
+function validate(config) {
+  if (config.fleetSize < 0) throw new Error("Fleet size must not be negative");
+  if (config.trackLength < 1) throw new Error("Track length must be at least 1");
+  if (config.droneMaxAgeSeconds * 1000 < CURRENT_MAX_AGE_MS) {
+    throw new Error(`Drone max age must be at least ${CURRENT_MAX_AGE_MS / 1000} seconds`);
+  }
+  if (config.historyRetentionMinutes <= 0) throw new Error("History retention must be positive");
+  if (config.historyMaxPoints < 1) throw new Error("History size must be at least 1 point");
+  if (config.tokenTtlMinutes <= 0) throw new Error("Token lifetime must be positive");
+  if (config.tickMs < 50) throw new Error("Tick interval must be at least 50 ms");
+  if (config.authorizedRatio < 0 || config.authorizedRatio > 1) {
+    throw new Error("Authorized ratio must be between 0 and 1");
+  }
+  if (config.altitudeMin > config.altitudeMax) {
+    throw new Error("Minimum altitude must not exceed maximum altitude");
+  }
+  if (config.speedMin > config.speedMax) {
+    throw new Error("Minimum speed must not exceed maximum speed");
+  }
+  const alphabetSize = new Set(config.idAlphabet).size;
+  if (alphabetSize < 2) {
+    throw new Error("ID alphabet needs at least two distinct characters");
+  }
+  if (config.fleetSize > alphabetSize ** SERIAL_LENGTH) {
+    throw new Error(
+      `Fleet size ${config.fleetSize} exceeds the ${alphabetSize ** SERIAL_LENGTH} distinct serials ` +
+        `the ID alphabet "${config.idAlphabet}" allows (${SERIAL_LENGTH} characters each)`
+    );
+  }
+  const [minLng, minLat, maxLng, maxLat] = config.bbox;
+  if (minLng >= maxLng || minLat >= maxLat) {
+    throw new Error("Bounding box must be minLng,minLat,maxLng,maxLat with min < max");
+  }
+}
+
+function parseInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number)) throw new Error(`${name} must be an integer, got "${value}"`);
+  return number;
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`${name} must be a number, got "${value}"`);
+  return number;
+}
+
+function parseString(value, name) {
+  if (!value) throw new Error(`${name} must not be empty`);
+  return value;
+}
+
+function parseBoolean(value, name) {
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  throw new Error(`${name} must be true or false, got "${value}"`);
+}
+
+function parseBbox(value, name) {
+  const parts = String(value).split(",").map(Number);
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) {
+    throw new Error(`${name} must be "minLng,minLat,maxLng,maxLat", got "${value}"`);
+  }
+  return parts;
+}
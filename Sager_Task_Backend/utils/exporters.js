@@ -0,0 +1,38 @@
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+// GeoJSON / KML / GPX / CSV exporters shared with the dashboard
+// (shared/exporters.js), loaded at startup like the telemetry schema.
+
+const EXPORTERS_PATH = path.join(__dirname, "..", "..", "shared", "exporters.js");
+
+exports.loadExporters = () => import(pathToFileURL(EXPORTERS_PATH).href);
+
+// Airspace entries ({ feature, lastSeen }) -> single-point export tracks
+exports.snapshotTracks = (entries) =>
+  entries.map(({ feature, lastSeen }) => ({
+    serial: feature.properties.serial,
+    registration: feature.properties.registration ?? null,
+    name: feature.properties.name ?? null,
+    points: [toExportPoint(feature.geometry.coordinates, feature.properties, lastSeen)],
+  }));
+
+// History store tracks ({ serial, points }) -> export tracks
+exports.historyTracks = (tracks) =>
+  tracks.map(({ serial, points }) => ({
+    serial,
+    registration: points[points.length - 1].registration ?? null,
+    name: null,
+    points: points.map((point) => toExportPoint(point.coordinates, point, point.t)),
+  }));
+
+function toExportPoint([longitude, latitude, coordinateAltitude], { altitude, yaw, speed }, timestamp) {
+  return {
+    timestamp,
+    longitude,
+    latitude,
+    altitude: altitude ?? coordinateAltitude ?? 0,
+    yaw: yaw ?? 0,
+    speed: speed ?? null,
+  };
+}
@@ -0,0 +1,160 @@
+// Simulates a persistent fleet of drones flying continuous trajectories
+// inside a bounding box. Each drone keeps its identity between ticks.
+
+const METERS_PER_DEGREE = 111320;
+
+const MAX_TURN_RATE = 30; // degrees per second
+const MAX_CLIMB_RATE = 2; // m/s
+const WAYPOINT_REACHED_METERS = 50;
+
+const MODELS = ["Dji Mavic", "Dji Mini", "Dji Air 2S", "Autel EVO II", "Skydio 2+"];
+const PILOTS = ["Besher", "Omar", "Lina", "Yazan", "Rania", "Khaled"];
+const ORGANIZATIONS = ["Sager Drone", "Royal Aero Club", "Civil Defense", "Aerial Survey Co"];
+
+// Characters in a serial; the ID alphabet must allow a distinct serial per drone
+const SERIAL_LENGTH = 10;
+
+exports.SERIAL_LENGTH = SERIAL_LENGTH;
+
+// `options` uses the simulator settings from config.js
+exports.createFleet = (options) => {
+  const serials = new Set();
+  const drones = [];
+
+  while (drones.length < options.fleetSize) {
+    const drone = makeDrone(options);
+    if (serials.has(drone.serial)) continue;
+    serials.add(drone.serial);
+    drones.push(drone);
+  }
+
+  return { options, drones };
+};
+
+// Advance every drone by `dtSeconds` of flight
+exports.advanceFleet = (fleet, dtSeconds) => {
+  fleet.drones.forEach((drone) => stepDrone(drone, dtSeconds, fleet.options));
+};
+
+exports.toFeatureCollection = (fleet) => {
+  return {
+    "type": "FeatureCollection",
+    "features": fleet.drones.map(toFeature)
+  };
+};
+
+exports.makeID = makeID;
+
+function makeDrone(options) {
+  // Registrations starting with "B" are authorized
+  const authorized = Math.random() < options.authorizedRatio;
+
+  return {
+    serial: makeID(SERIAL_LENGTH, options.idAlphabet),
+    registration: (authorized ? "BD-" : "SD-") + makeID(2, options.idAlphabet),
+    name: pick(MODELS),
+    pilot: pick(PILOTS),
+    organization: pick(ORGANIZATIONS),
+    position: randomPointIn(options.bbox),
+    altitude: randomBetween(options.altitudeMin, options.altitudeMax),
+    targetAltitude: randomBetween(options.altitudeMin, options.altitudeMax),
+    heading: Math.random() * 360,
+    speed: randomBetween(options.speedMin, options.speedMax),
+    waypoint: randomPointIn(options.bbox)
+  };
+}
+
+function stepDrone(drone, dtSeconds, options) {
+  if (distanceMeters(drone.position, drone.waypoint) < WAYPOINT_REACHED_METERS) {
+    drone.waypoint = randomPointIn(options.bbox);
+    drone.targetAltitude = randomBetween(options.altitudeMin, options.altitudeMax);
+  }
+
+  // Turn gradually towards the waypoint
+  const desiredHeading = bearingDegrees(drone.position, drone.waypoint);
+  const turn = normalizeAngle(desiredHeading - drone.heading);
+  const maxTurn = MAX_TURN_RATE * dtSeconds;
+  drone.heading = (drone.heading + clamp(turn, -maxTurn, maxTurn) + 360) % 360;
+
+  // Small speed variations keep the fleet from looking robotic
+  drone.speed = clamp(
+    drone.speed + (Math.random() - 0.5) * dtSeconds,
+    options.speedMin,
+    options.speedMax
+  );
+
+  const distance = drone.speed * dtSeconds;
+  const headingRad = (drone.heading * Math.PI) / 180;
+  const [lng, lat] = drone.position;
+  drone.position = [
+    lng + (distance * Math.sin(headingRad)) / (METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180)),
+    lat + (distance * Math.cos(headingRad)) / METERS_PER_DEGREE
+  ];
+
+  // Climb or descend towards the target altitude
+  const maxClimb = MAX_CLIMB_RATE * dtSeconds;
+  drone.altitude += clamp(drone.targetAltitude - drone.altitude, -maxClimb, maxClimb);
+}
+
+function toFeature(drone) {
+  return {
+    "type": "Feature",
+    "properties": {
+      "serial": drone.serial,
+      "registration": drone.registration,
+      "name": drone.name,
+      "altitude": Math.round(drone.altitude),
+      "pilot": drone.pilot,
+      "organization": drone.organization,
+      "yaw": Math.round(drone.heading),
+      "speed": Math.round(drone.speed * 10) / 10
+    },
+    "geometry": {
+      "coordinates": drone.position,
+      "type": "Point"
+    }
+  };
+}
+
+function makeID(number, characters = 'ABCD') {
+  let result = '';
+
+  for (let i = 0; i < number; i++) {
+    result += characters.charAt(Math.floor(Math.random() * characters.length));
+  }
+
+  return result;
+}
+
+function randomPointIn([minLng, minLat, maxLng, maxLat]) {
+  return [randomBetween(minLng, maxLng), randomBetween(minLat, maxLat)];
+}
+
+// Equirectangular approximation, accurate enough over a few kilometres
+function distanceMeters([lng1, lat1], [lng2, lat2]) {
+  const x = (lng2 - lng1) * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+  const y = lat2 - lat1;
+  return Math.sqrt(x * x + y * y) * METERS_PER_DEGREE;
+}
+
+function bearingDegrees([lng1, lat1], [lng2, lat2]) {
+  const x = (lng2 - lng1) * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+  const y = lat2 - lat1;
+  return ((Math.atan2(x, y) * 180) / Math.PI + 360) % 360;
+}
+
+function normalizeAngle(angle) {
+  return ((angle + 540) % 360) - 180;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+function pick(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
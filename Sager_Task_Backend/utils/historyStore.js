@@ -0,0 +1,243 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// Append-only track history. Every emitted position is written as one JSON
+// line to `historyFile` and indexed in memory per serial for time-range
+// queries. Points older than the retention window are pruned from memory as
+// time goes on, and the index never holds more than `historyMaxPoints`
+// points (the oldest are dropped first). The file is compacted to what the
+// index holds on startup and whenever it has grown past twice that size.
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Points returned by one queryAll(); larger ranges keep the most recent ones
+const MAX_QUERY_POINTS = 100000;
+
+// Once over the limit, the index is trimmed to this share of it, so eviction
+// doesn't run on every tick
+const EVICTION_TARGET = 0.9;
+
+// Appended bytes that never trigger a compaction on their own
+const MIN_COMPACTION_BYTES = 16 * 1024 * 1024;
+
+// Lines written per call while compacting
+const COMPACTION_CHUNK_LINES = 10000;
+
+exports.MAX_QUERY_POINTS = MAX_QUERY_POINTS;
+
+exports.createHistoryStore = ({ historyFile, historyRetentionMinutes, historyMaxPoints }) => {
+  const retentionMs = historyRetentionMinutes * 60 * 1000;
+  const index = new Map(); // serial -> [{ t, registration, coordinates, altitude, yaw, speed }]
+  const batches = []; // [{ t, count }] in recording order, for evicting the oldest points
+  let totalPoints = 0;
+  let stream = null; // opened once the file is loaded and compacted
+  let compactedBytes = 0;
+  let appendedBytes = 0;
+  let pruneTimer = null;
+
+  // Positions recorded while the file is still loading, replayed afterwards
+  // so every drone's points stay in time order
+  let pending = [];
+
+  const record = (featureCollection, timestamp = Date.now()) => {
+    if (pending) {
+      pending.push([featureCollection, timestamp]);
+      return;
+    }
+
+    const lines = featureCollection.features.map((feature) => {
+      const point = toPoint(feature, timestamp);
+      addToIndex(feature.properties.serial, point);
+      return JSON.stringify({ serial: feature.properties.serial, ...point });
+    });
+
+    if (lines.length > 0) {
+      const chunk = lines.join("\n") + "\n";
+      appendedBytes += Buffer.byteLength(chunk);
+      stream.write(chunk);
+      enforceLimit();
+    }
+  };
+
+  // Points of one drone between `from` and `to` (ms, inclusive)
+  const query = (serial, { from = 0, to = Infinity } = {}) => {
+    const points = index.get(serial);
+    if (!points) return null;
+    return points.filter((point) => point.t >= from && point.t <= to);
+  };
+
+  // Tracks of every drone seen between `from` and `to`, optionally only the
+  // given serials. At most `maxPoints` points are returned, the most recent
+  // ones; `truncated` tells whether older points in the range were left out.
+  const queryAll = ({ from = 0, to = Infinity } = {}, { serials = null, maxPoints = MAX_QUERY_POINTS } = {}) => {
+    let tracks = [];
+    index.forEach((points, serial) => {
+      if (serials && !serials.has(serial)) return;
+      const inRange = points.filter((point) => point.t >= from && point.t <= to);
+      if (inRange.length > 0) {
+        tracks.push({ serial, points: inRange });
+      }
+    });
+
+    const count = tracks.reduce((sum, track) => sum + track.points.length, 0);
+    if (count <= maxPoints) {
+      return { tracks, truncated: false };
+    }
+
+    // Newest excluded time: keeping only later points stays within the limit
+    const times = tracks.flatMap((track) => track.points.map((point) => point.t)).sort((a, b) => a - b);
+    const excludedUpTo = times[count - maxPoints - 1];
+    tracks = tracks
+      .map(({ serial, points }) => ({ serial, points: points.filter((point) => point.t > excludedUpTo) }))
+      .filter((track) => track.points.length > 0);
+    return { tracks, truncated: true };
+  };
+
+  // Flushes pending writes; `callback` runs once the file is closed
+  const close = (callback) => {
+    clearInterval(pruneTimer);
+    if (stream) {
+      stream.end(callback);
+    } else {
+      callback();
+    }
+  };
+
+  function addToIndex(serial, point) {
+    const points = index.get(serial);
+    if (points) {
+      points.push(point);
+    } else {
+      index.set(serial, [point]);
+    }
+
+    const lastBatch = batches[batches.length - 1];
+    if (lastBatch && lastBatch.t === point.t) {
+      lastBatch.count++;
+    } else {
+      batches.push({ t: point.t, count: 1 });
+    }
+    totalPoints++;
+  }
+
+  // Drops every point recorded before `cutoff`
+  function dropBefore(cutoff) {
+    index.forEach((points, serial) => {
+      const firstKept = points.findIndex((point) => point.t >= cutoff);
+      if (firstKept === -1) {
+        index.delete(serial);
+        totalPoints -= points.length;
+      } else if (firstKept > 0) {
+        points.splice(0, firstKept);
+        totalPoints -= firstKept;
+      }
+    });
+
+    const firstBatch = batches.findIndex((batch) => batch.t >= cutoff);
+    batches.splice(0, firstBatch === -1 ? batches.length : firstBatch);
+  }
+
+  // Evicts the oldest points once the index is over `historyMaxPoints`; the
+  // latest batch is always kept
+  function enforceLimit() {
+    if (totalPoints <= historyMaxPoints) return;
+
+    const target = Math.floor(historyMaxPoints * EVICTION_TARGET);
+    let remaining = totalPoints;
+    let evicted = 0;
+    while (remaining > target && evicted < batches.length - 1) {
+      remaining -= batches[evicted].count;
+      evicted++;
+    }
+    dropBefore(batches[evicted].t);
+  }
+
+  function prune() {
+    dropBefore(Date.now() - retentionMs);
+    if (appendedBytes > Math.max(compactedBytes, MIN_COMPACTION_BYTES)) {
+      compact();
+    }
+  }
+
+  // Rewrites the file with what the index holds, in time order, and reopens it
+  // for appending. Every recorded point is in the index before it is written,
+  // so writes still queued on the old stream are covered by the new file.
+  function compact() {
+    const entries = [];
+    index.forEach((points, serial) => points.forEach((point) => entries.push({ serial, point })));
+    entries.sort((a, b) => a.point.t - b.point.t);
+
+    const compactFile = `${historyFile}.compact`;
+    const fd = fs.openSync(compactFile, "w");
+    let bytes = 0;
+    try {
+      for (let start = 0; start < entries.length; start += COMPACTION_CHUNK_LINES) {
+        const lines = entries
+          .slice(start, start + COMPACTION_CHUNK_LINES)
+          .map(({ serial, point }) => JSON.stringify({ serial, ...point }));
+        bytes += fs.writeSync(fd, lines.join("\n") + "\n");
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(compactFile, historyFile);
+
+    if (stream) stream.end();
+    stream = fs.createWriteStream(historyFile, { flags: "a" });
+    stream.on("error", (error) => {
+      console.error(`History store write failed: ${error.message}`);
+    });
+    compactedBytes = bytes;
+    appendedBytes = 0;
+  }
+
+  // Streams the file line by line, so its size is only limited by the disk
+  async function load() {
+    fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+
+    if (fs.existsSync(historyFile)) {
+      const cutoff = Date.now() - retentionMs;
+      let skipped = 0;
+
+      const lines = readline.createInterface({ input: fs.createReadStream(historyFile), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        try {
+          const { serial, ...point } = JSON.parse(line);
+          if (point.t < cutoff) continue;
+          addToIndex(serial, point);
+          enforceLimit();
+        } catch {
+          skipped++;
+        }
+      }
+
+      if (skipped > 0) {
+        console.warn(`History store skipped ${skipped} unreadable line(s) in ${historyFile}`);
+      }
+    }
+
+    compact();
+    const recorded = pending;
+    pending = null;
+    recorded.forEach(([featureCollection, timestamp]) => record(featureCollection, timestamp));
+    pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+  }
+
+  // Resolves once the file is loaded; rejects when it can't be read or written
+  const ready = load();
+
+  return { ready, record, query, queryAll, close };
+};
+
+function toPoint(feature, timestamp) {
+  return {
+    t: timestamp,
+    registration: feature.properties.registration,
+    coordinates: feature.geometry.coordinates,
+    altitude: feature.properties.altitude,
+    yaw: feature.properties.yaw,
+    speed: feature.properties.speed,
+  };
+}
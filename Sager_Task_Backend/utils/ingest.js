@@ -0,0 +1,65 @@
+const crypto = require("crypto");
+const { MAX_BATCH_SIZE } = require("./telemetry");
+
+// Merges externally published telemetry into the same pipeline as the
+// simulator: the airspace state, the track history and the dashboard broadcast.
+// `schema` is the shared telemetry schema (see utils/telemetry.js).
+
+// Rejected messages kept for GET /api/v1/telemetry/stats
+const RECENT_REJECTIONS = 20;
+
+exports.createIngestor = ({ airspace, history, broadcast, schema }) => {
+  const counters = { batches: 0, accepted: 0, rejected: 0 };
+  const recentRejections = [];
+
+  // Throws when the payload as a whole is invalid; otherwise returns
+  // { accepted: count, rejected: [{ index, serial, errors }] }
+  const ingest = (payload, source = "unknown") => {
+    const { accepted, rejected } = schema.parseTelemetryBatch(payload, { maxBatchSize: MAX_BATCH_SIZE });
+
+    if (accepted.length > 0) {
+      const timestamp = Date.now();
+      const featureCollection = { type: "FeatureCollection", features: accepted.map(schema.toFeature) };
+      airspace.update(featureCollection, timestamp);
+      history.record(featureCollection, timestamp);
+      broadcast(featureCollection);
+    }
+
+    if (rejected.length > 0) {
+      const first = rejected[0];
+      console.warn(
+        `Rejected ${rejected.length} of ${accepted.length + rejected.length} message(s) from ${source}: ` +
+          `#${first.index}${first.serial ? ` (${first.serial})` : ""} ${first.errors.join("; ")}`
+      );
+      rejected.forEach((rejection) => {
+        recentRejections.unshift({ ...rejection, source, timestamp: new Date().toISOString() });
+      });
+      recentRejections.splice(RECENT_REJECTIONS);
+    }
+
+    counters.batches++;
+    counters.accepted += accepted.length;
+    counters.rejected += rejected.length;
+    return { accepted: accepted.length, rejected };
+  };
+
+  const getStats = () => ({ ...counters, recentRejections: [...recentRejections] });
+
+  return { ingest, getStats };
+};
+
+// Publishing needs an ingest token, unless the server was started with
+// --open-ingest to accept anyone (e.g. on a trusted network)
+exports.isIngestEnabled = (config) => Boolean(config.ingestToken) || config.openIngest;
+
+exports.INGEST_DISABLED_MESSAGE = "Telemetry ingestion is disabled: set INGEST_TOKEN, or OPEN_INGEST=true to accept publishers without a token";
+
+// Publishers must present `expected` when an ingest token is configured
+exports.isIngestTokenValid = (expected, presented) => {
+  if (!expected) return true;
+  if (typeof presented !== "string") return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(presented);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
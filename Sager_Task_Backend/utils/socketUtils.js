@@ -1,70 +1,132 @@
 const socketIO = require("socket.io");
+const fleetSimulator = require("./fleetSimulator");
+const { isIngestEnabled, isIngestTokenValid, INGEST_DISABLED_MESSAGE } = require("./ingest");
+const { hasPermission, redactFeatureCollection } = require("./auth");
 
-exports.sio = (server) => {
-  return socketIO(server, {
+// Dashboard clients join one of these rooms depending on their role; the
+// redacted room receives the broadcast without pilot details
+const AIRSPACE_ROOM = "airspace";
+const AIRSPACE_REDACTED_ROOM = "airspace:redacted";
+// Namespace external sources publish telemetry to
+const PUBLISH_NAMESPACE = "/publish";
+
+const canViewPilots = (socket) => hasPermission(socket.data.user.role, "viewPilotDetails");
+
+// Sends a tick or a published batch to every dashboard, classified with the
+// authorization rules and then redacted per role
+const broadcast = (io, authorization, featureCollection) => {
+  const classified = authorization.classifyFeatureCollection(featureCollection);
+  io.to(AIRSPACE_ROOM).emit("message", classified);
+  if (io.sockets.adapter.rooms.has(AIRSPACE_REDACTED_ROOM)) {
+    io.to(AIRSPACE_REDACTED_ROOM).emit("message", redactFeatureCollection(classified));
+  }
+};
+
+exports.broadcast = broadcast;
+
+// Dashboard clients present their session token as `auth: { token }`
+exports.sio = (server, auth) => {
+  const io = socketIO(server, {
     transports: ["polling"],
     cors: {
       origin: "*",
     },
   });
+
+  io.use((socket, next) => {
+    const user = auth.verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+    if (!user) {
+      const error = new Error("Missing, invalid or expired session token");
+      error.data = { code: "unauthorized" };
+      return next(error);
+    }
+    socket.data.user = user;
+    next();
+  });
+
+  return io;
 };
 
-exports.connection = (io) => {
+// Starts the single world-state loop owned by the server. Every tick is
+// recorded in `airspace` and `history` and broadcast; returns a handle to
+// stop the loop.
+exports.connection = (io, config, airspace, history, authorization) => {
+  const fleet = fleetSimulator.createFleet(config);
+  let lastTick = Date.now();
+  let snapshot = fleetSimulator.toFeatureCollection(fleet);
+  airspace.update(snapshot, lastTick);
+  history.record(snapshot, lastTick);
+
+  function GenerateData() {
+    // Advance by wall-clock time so a late or skipped tick doesn't slow the fleet down
+    const now = Date.now();
+    fleetSimulator.advanceFleet(fleet, (now - lastTick) / 1000);
+    lastTick = now;
+
+    return fleetSimulator.toFeatureCollection(fleet);
+  }
+
+  const timer = setInterval(() => {
+    snapshot = GenerateData();
+    // With --fleet-size 0 the server only relays published telemetry
+    if (snapshot.features.length === 0) return;
+    airspace.update(snapshot, lastTick);
+    history.record(snapshot, lastTick);
+    broadcast(io, authorization, snapshot);
+  }, config.tickMs);
+
   io.on("connection", (socket) => {
-    console.log(`-> Client ${socket.id} connected`);
+    const { username, role } = socket.data.user;
+    console.log(`-> Client ${socket.id} connected (${username}, ${role})`);
 
-    setInterval(function () {
-      socket.emit('message', GenerateData());
-    }, 1000);
+    socket.join(canViewPilots(socket) ? AIRSPACE_ROOM : AIRSPACE_REDACTED_ROOM);
+    // Send the current airspace (simulated and published drones) right away
+    // instead of waiting for the next tick
+    const current = authorization.classifyFeatureCollection(airspace.getSnapshot());
+    socket.emit("message", canViewPilots(socket) ? current : redactFeatureCollection(current));
 
     socket.on("disconnect", () => {
       console.log(`-> Client ${socket.id} disconnected`);
     });
   });
-};
-
-
-function GenerateData() {
 
   return {
-    "type": "FeatureCollection",
-    "features": [
-     {
-        "type": "Feature",
-        "properties": {
-          "serial": makeID(10),
-          "registration": "SD-" +makeID(2), 
-          "Name": "Dji Mavic",
-          "altitude": Math.floor(Math.random() * 100),
-          "pilot": "Besher",
-          "organization" : " Sager Drone",
-          "yaw" : 120 + Math.floor(Math.random() * 20)
-        },
-        "geometry": {
-          "coordinates": makeLocation(),
-          "type": "Point"
-        }
-      }
-    ]
-  }
-}
+    stop: () => clearInterval(timer),
+  };
+};
 
-function makeID(number) {
-  const characters = 'ABCD';
-  let result = '';
+// Publisher namespace: clients emit "telemetry" with a Feature,
+// FeatureCollection or array of Features and get
+// { ok, accepted, rejected } or { ok: false, error } back as acknowledgement.
+exports.publishers = (io, config, ingestor) => {
+  const namespace = io.of(PUBLISH_NAMESPACE);
 
-  for (let i = 0; i < number; i++) {
-    result += characters.charAt(Math.floor(Math.random() * 4));
-  }
+  namespace.use((socket, next) => {
+    if (!isIngestEnabled(config)) {
+      return next(new Error(INGEST_DISABLED_MESSAGE));
+    }
+    if (isIngestTokenValid(config.ingestToken, socket.handshake.auth && socket.handshake.auth.token)) {
+      return next();
+    }
+    next(new Error("Missing or invalid ingest token"));
+  });
 
-  return result;
-}
+  namespace.on("connection", (socket) => {
+    console.log(`-> Publisher ${socket.id} connected`);
 
-function makeLocation() {
-  base = [
-    35.93131881204147 + (Math.random() * 2 - 1) / 10,
-    31.94878648036645 + (Math.random() * 2 - 1) / 10
-  ]
-  return base;
-}
+    socket.on("telemetry", (payload, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      try {
+        reply({ ok: true, ...ingestor.ingest(payload, `publisher ${socket.id}`) });
+      } catch (error) {
+        reply({ ok: false, error: error.message });
+      }
+    });
 
+    socket.on("disconnect", () => {
+      console.log(`-> Publisher ${socket.id} disconnected`);
+    });
+  });
+
+  return namespace;
+};
@@ -0,0 +1,13 @@
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+// The telemetry schema is an ES module shared with the dashboard
+// (shared/telemetry.js at the repository root), so it is loaded once at
+// startup with a dynamic import and handed to whoever needs it.
+
+const SCHEMA_PATH = path.join(__dirname, "..", "..", "shared", "telemetry.js");
+
+// Largest batch a publisher may send in one message
+exports.MAX_BATCH_SIZE = 5000;
+
+exports.loadTelemetrySchema = () => import(pathToFileURL(SCHEMA_PATH).href);
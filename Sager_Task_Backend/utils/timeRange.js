@@ -0,0 +1,21 @@
+// Parses `from` / `to` query parameters given as epoch milliseconds or ISO dates.
+// Returns { from, to } in ms, or throws with a message suitable for a 400 response.
+exports.parseTimeRange = (query, defaults = {}) => {
+  const from = parseTime(query.from, "from", defaults.from ?? 0);
+  const to = parseTime(query.to, "to", defaults.to ?? Infinity);
+
+  if (from > to) {
+    throw new Error("from must not be after to");
+  }
+  return { from, to };
+};
+
+function parseTime(value, name, fallback) {
+  if (value === undefined || value === "") return fallback;
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`${name} must be epoch milliseconds or an ISO date, got "${value}"`);
+  }
+  return time;
+}
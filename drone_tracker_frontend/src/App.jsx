@@ -1,17 +1,64 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import MapboxMap from './components/MapboxMap';
 import DroneList from './components/DroneList';
+import ReplayControls from './components/ReplayControls';
+import RecordingControls from './components/RecordingControls';
+import DroneEventToasts from './components/DroneEventToasts';
+import RedDroneCounter from './components/RedDroneCounter';
+import AlertCenter from './components/AlertCenter';
+import DroneDetailPanel from './components/DroneDetailPanel';
+import FleetDashboard from './components/FleetDashboard';
+import ExportPanel from './components/ExportPanel';
+import LoginForm from './components/LoginForm';
+import UserMenu from './components/UserMenu';
 import { useDroneStore, DroneDataObserver } from './stores/droneStore';
+import { useZoneStore } from './stores/zoneStore';
+import { useAuthStore, AUTH_STATUS } from './stores/authStore';
 import { websocketService } from './services/websocketService';
 import './App.css';
 
+const CONTACT_SWEEP_INTERVAL_MS = 1000;
+const STATISTICS_SAMPLE_INTERVAL_MS = 5000;
+const AUTHORIZATION_RULES_URL = '/authorization-rules.json';
+const ZONES_URL = '/zones.geojson';
+
 function App() {
   const [mapInstance, setMapInstance] = useState(null);
+  const [alertCenterOpen, setAlertCenterOpen] = useState(false);
+  const [dashboardOpen, setDashboardOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
   const droneStore = useDroneStore();
-  const { selectDrone, selectedDroneId, getDroneById } = droneStore;
+  const { selectDrone, selectedDroneId, getDroneById, sweepContacts, recordStatistics, loadAuthorizationRules, clearDrones } = droneStore;
+  const { status: authStatus, restoreSession, logout } = useAuthStore();
+  const sessionReady = authStatus === AUTH_STATUS.ANONYMOUS || authStatus === AUTH_STATUS.SIGNED_IN;
+
+  // Find out whether the server requires a login before connecting
+  useEffect(() => {
+    restoreSession();
+  }, [restoreSession]);
+
+  // Drop what the previous user was sent once the session ends
+  useEffect(() => {
+    if (authStatus === AUTH_STATUS.SIGNED_OUT) {
+      clearDrones();
+    }
+  }, [authStatus, clearDrones]);
+
+  // Load authorization rules (falls back to the built-in "B registration" rules)
+  useEffect(() => {
+    loadAuthorizationRules(AUTHORIZATION_RULES_URL);
+  }, [loadAuthorizationRules]);
 
-  // Initialize WebSocket connection
+  // Load no-fly zones and geofences drawn on the map and checked on every update
   useEffect(() => {
+    useZoneStore.getState().loadZones(ZONES_URL);
+  }, []);
+
+  // Initialize WebSocket connection once the session is known; signing out
+  // disconnects and signing in reconnects with the new token
+  useEffect(() => {
+    if (!sessionReady) return;
+
     // Create and add observer
     const observer = new DroneDataObserver(useDroneStore);
     websocketService.addObserver(observer);
@@ -23,7 +70,19 @@ function App() {
       websocketService.removeObserver(observer);
       websocketService.disconnect();
     };
-  }, []);
+  }, [sessionReady]);
+
+  // Check for drones that stopped reporting
+  useEffect(() => {
+    const interval = setInterval(() => sweepContacts(), CONTACT_SWEEP_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [sweepContacts]);
+
+  // Sample fleet statistics for the dashboard charts
+  useEffect(() => {
+    const interval = setInterval(() => recordStatistics(), STATISTICS_SAMPLE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [recordStatistics]);
 
   // Handle drone selection from sidebar
   const handleDroneClick = useCallback((droneId) => {
@@ -47,11 +106,32 @@ function App() {
     selectDrone(droneId);
   }, [selectDrone]);
 
+  const handleReconnect = useCallback(() => {
+    websocketService.forceReconnect();
+  }, []);
+
+  const toggleAlertCenter = useCallback(() => {
+    setAlertCenterOpen(open => !open);
+  }, []);
+
+  const toggleDashboard = useCallback(() => {
+    setDashboardOpen(open => !open);
+  }, []);
+
+  const toggleExport = useCallback(() => {
+    setExportOpen(open => !open);
+  }, []);
+
+  if (authStatus === AUTH_STATUS.SIGNED_OUT) {
+    return <LoginForm />;
+  }
+
   return (
     <div className="app">
       <MapboxMap 
         onMapLoad={setMapInstance}
         onDroneSelect={handleMapDroneSelect}
+        onReconnect={handleReconnect}
         selectedDroneId={selectedDroneId}
         mapboxAccessToken={import.meta.env.VITE_MAPBOX_ACCESS_TOKEN}
       />
@@ -59,6 +139,28 @@ function App() {
       <DroneList 
         onDroneClick={handleDroneClick}
       />
+
+      <DroneDetailPanel />
+
+      <ReplayControls />
+
+      <RecordingControls />
+
+      <DroneEventToasts onDroneClick={handleDroneClick} />
+
+      <UserMenu onLogout={logout} />
+
+      <ExportPanel open={exportOpen} onToggle={toggleExport} />
+
+      <FleetDashboard open={dashboardOpen} onToggle={toggleDashboard} />
+
+      <AlertCenter
+        open={alertCenterOpen}
+        onToggle={toggleAlertCenter}
+        onDroneClick={handleDroneClick}
+      />
+
+      <RedDroneCounter onClick={() => setAlertCenterOpen(true)} />
     </div>
   );
 }
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { useAlertStore, MAX_ALERTS } from '../stores/alertStore';
+import { useAuthStore } from '../stores/authStore';
+import { ALERT_SEVERITY } from '../utils/alertRules';
+import { formatTime } from '../utils/formatters';
+import './AlertCenter.css';
+
+const TABS = {
+  ACTIVE: 'active',
+  HISTORY: 'history'
+};
+
+// Without onAcknowledge / onDismiss (viewers) the alert is read-only
+const AlertItem = ({ alert, onDroneClick, onAcknowledge, onDismiss }) => (
+  <div className={`alert-item ${alert.severity} ${alert.acknowledgedAt ? 'acknowledged' : ''} ${alert.dismissed ? 'dismissed' : ''}`}>
+    <div className="alert-item-header">
+      <span className={`alert-severity ${alert.severity}`}>{alert.severity}</span>
+      <span className="alert-rule">{alert.ruleName}</span>
+      <span className="alert-time">{formatTime(alert.timestamp)}</span>
+    </div>
+    <button className="alert-message" onClick={() => onDroneClick && onDroneClick(alert.droneId)}>
+      {alert.message}
+    </button>
+    {!alert.dismissed && onAcknowledge && (
+      <div className="alert-actions">
+        {!alert.acknowledgedAt && (
+          <button onClick={() => onAcknowledge(alert.id)}>Acknowledge</button>
+        )}
+        <button onClick={() => onDismiss(alert.id)}>Dismiss</button>
+      </div>
+    )}
+  </div>
+);
+
+// Bell button with the unacknowledged count, opening a panel of active
+// alerts and a searchable history
+const AlertCenter = ({ open, onToggle, onDroneClick }) => {
+  const {
+    getActiveAlerts,
+    getUnacknowledgedCount,
+    searchAlerts,
+    acknowledgeAlert,
+    acknowledgeAll,
+    dismissAlert,
+    clearHistory,
+    droppedCount,
+    soundEnabled,
+    desktopEnabled,
+    setSoundEnabled,
+    setDesktopEnabled
+  } = useAlertStore();
+  const canAcknowledge = useAuthStore().can('acknowledgeAlerts');
+  const [tab, setTab] = useState(TABS.ACTIVE);
+  const [query, setQuery] = useState('');
+  const [severity, setSeverity] = useState('');
+
+  const unacknowledged = getUnacknowledgedCount();
+  const alerts = tab === TABS.ACTIVE ? getActiveAlerts() : searchAlerts(query, severity || null);
+
+  return (
+    <>
+      <button
+        className={`alert-center-toggle ${unacknowledged > 0 ? 'has-alerts' : ''}`}
+        onClick={onToggle}
+        title="Alerts"
+      >
+        🔔
+        {unacknowledged > 0 && <span className="alert-badge">{unacknowledged}</span>}
+      </button>
+
+      {open && (
+        <div className="alert-center">
+          <div className="alert-center-header">
+            <div className="alert-tabs">
+              <button className={tab === TABS.ACTIVE ? 'active' : ''} onClick={() => setTab(TABS.ACTIVE)}>
+                Active
+              </button>
+              <button className={tab === TABS.HISTORY ? 'active' : ''} onClick={() => setTab(TABS.HISTORY)}>
+                History
+              </button>
+            </div>
+            <div className="alert-settings">
+              <label title="Play a sound for new alerts">
+                <input type="checkbox" checked={soundEnabled} onChange={(e) => setSoundEnabled(e.target.checked)} />
+                Sound
+              </label>
+              <label title="Desktop notifications while the tab is in the background">
+                <input type="checkbox" checked={desktopEnabled} onChange={(e) => setDesktopEnabled(e.target.checked)} />
+                Desktop
+              </label>
+            </div>
+          </div>
+
+          {tab === TABS.ACTIVE ? (
+            canAcknowledge && (
+              <div className="alert-toolbar">
+                <button onClick={acknowledgeAll} disabled={unacknowledged === 0}>Acknowledge all</button>
+              </div>
+            )
+          ) : (
+            <div className="alert-toolbar">
+              <input
+                type="search"
+                placeholder="Search drone, rule or message"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+              />
+              <select value={severity} onChange={(e) => setSeverity(e.target.value)}>
+                <option value="">All</option>
+                {Object.values(ALERT_SEVERITY).map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+              {canAcknowledge && <button onClick={clearHistory}>Clear</button>}
+            </div>
+          )}
+
+          {droppedCount > 0 && (
+            <div className="alert-dropped">
+              {droppedCount} older alert{droppedCount === 1 ? '' : 's'} dropped; the history keeps the latest {MAX_ALERTS}
+            </div>
+          )}
+
+          <div className="alert-list">
+            {alerts.length === 0 ? (
+              <div className="alert-empty">
+                {tab === TABS.ACTIVE ? 'No active alerts' : 'No matching alerts'}
+              </div>
+            ) : (
+              alerts.map(alert => (
+                <AlertItem
+                  key={alert.id}
+                  alert={alert}
+                  onDroneClick={onDroneClick}
+                  onAcknowledge={canAcknowledge ? acknowledgeAlert : null}
+                  onDismiss={canAcknowledge ? dismissAlert : null}
+                />
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AlertCenter;
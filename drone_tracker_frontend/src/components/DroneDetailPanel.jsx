@@ -0,0 +1,119 @@
+import React from 'react';
+import { useDroneStore } from '../stores/droneStore';
+import { useAuthStore } from '../stores/authStore';
+import Sparkline from './Sparkline';
+import { formatDuration, formatTime } from '../utils/formatters';
+import './DroneDetailPanel.css';
+
+// Points charted in the sparklines (the most recent part of the path)
+const CHART_POINTS = 120;
+
+const Field = ({ label, children }) => (
+  <div className="detail-field">
+    <span className="detail-label">{label}</span>
+    <span className="detail-value">{children ?? '—'}</span>
+  </div>
+);
+
+// Everything known about the selected drone, with charts from its path history
+const DroneDetailPanel = () => {
+  const {
+    selectedDroneId,
+    clearSelection,
+    getDisplayedDrones,
+    getDronePath,
+    replay
+  } = useDroneStore();
+  const canViewPilots = useAuthStore().can('viewPilotDetails');
+
+  const drone = selectedDroneId ? getDisplayedDrones().get(selectedDroneId) : null;
+  if (!drone) return null;
+
+  // While replaying, chart the path up to the replay time only
+  const fullPath = getDronePath(drone.id);
+  const path = (replay.active ? fullPath.filter(point => point.timestamp <= replay.time) : fullPath)
+    .slice(-CHART_POINTS);
+
+  return (
+    <div className="drone-detail-panel">
+      <div className="drone-detail-header">
+        <div className="drone-detail-title">
+          <span className={`drone-status ${drone.color}`}></span>
+          <span>{drone.name}</span>
+        </div>
+        <button className="drone-detail-close" onClick={clearSelection} title="Close">×</button>
+      </div>
+
+      <div className="drone-detail-body">
+        <section>
+          <h4>Identity</h4>
+          <Field label="Serial">{drone.id}</Field>
+          <Field label="Registration">{drone.registration}</Field>
+          <Field label="Pilot">{canViewPilots ? drone.pilot : 'Hidden for viewers'}</Field>
+          <Field label="Organization">{drone.organization}</Field>
+          <Field label="Authorization">
+            <span className={`authorization-badge ${drone.color}`}>{drone.authorization}</span>
+          </Field>
+        </section>
+
+        <section>
+          <h4>Flight</h4>
+          <Field label="Status">{drone.status}</Field>
+          <Field label="Contact">{drone.contactState}</Field>
+          <Field label="Altitude">{drone.altitude?.toFixed(1)} m</Field>
+          <Field label="Speed">{drone.speed?.toFixed(1)} m/s</Field>
+          <Field label="Yaw">
+            <span className="yaw-arrow" style={{ transform: `rotate(${drone.yaw || 0}deg)` }}>↑</span>
+            {Math.round(drone.yaw || 0)}°
+          </Field>
+          <Field label="Position">
+            {drone.latitude?.toFixed(6)}, {drone.longitude?.toFixed(6)}
+          </Field>
+        </section>
+
+        <section>
+          <h4>Telemetry</h4>
+          <Field label="Battery">{drone.battery != null ? `${Math.round(drone.battery)}%` : null}</Field>
+          <Field label="Signal">{drone.signal != null ? `${Math.round(drone.signal)}%` : null}</Field>
+          <Field label="First seen">{formatTime(drone.firstSeen)}</Field>
+          <Field label="Last seen">{formatTime(drone.lastSeen)}</Field>
+        </section>
+
+        <section>
+          <h4>Flight session</h4>
+          <Field label="State">{drone.airborne ? 'Airborne' : 'On ground'}</Field>
+          <Field label="Takeoff">{formatTime(drone.takeoffAt)}</Field>
+          {drone.landedAt && <Field label="Landed">{formatTime(drone.landedAt)}</Field>}
+          <Field label="Flight time">{formatDuration(drone.flightTime)}</Field>
+          <Field label="Total flight time">{formatDuration(drone.totalFlightTime)}</Field>
+          <Field label="Sessions">{drone.sessionCount}</Field>
+        </section>
+
+        <section>
+          <h4>History</h4>
+          <Sparkline
+            label="Altitude"
+            unit=" m"
+            color="#3B82F6"
+            values={path.map(point => point.coordinates[2])}
+          />
+          <Sparkline
+            label="Speed"
+            unit=" m/s"
+            color="#10B981"
+            decimals={1}
+            values={path.map(point => point.speed)}
+          />
+          <Sparkline
+            label="Battery"
+            unit="%"
+            color="#F59E0B"
+            values={path.map(point => point.battery)}
+          />
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default DroneDetailPanel;
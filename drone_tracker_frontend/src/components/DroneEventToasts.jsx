@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { useDroneStore } from '../stores/droneStore';
+import './DroneEventToasts.css';
+
+const TOAST_DURATION_MS = 8000;
+const MAX_TOASTS = 4;
+
+// Short-lived notifications for drone transitions (stale, lost, regained, ...)
+const DroneEventToasts = ({ onDroneClick }) => {
+  const { droneEvents, dismissDroneEvent } = useDroneStore();
+  const [now, setNow] = useState(() => Date.now());
+
+  // Re-render once a second so toasts disappear on time
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const toasts = droneEvents
+    .filter(event => now - event.timestamp < TOAST_DURATION_MS)
+    .slice(0, MAX_TOASTS);
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="drone-event-toasts">
+      {toasts.map(event => (
+        <div key={event.id} className={`drone-event-toast ${event.to || event.type}`}>
+          <button
+            className="drone-event-message"
+            onClick={() => onDroneClick && onDroneClick(event.droneId)}
+          >
+            {event.message}
+          </button>
+          <button
+            className="drone-event-dismiss"
+            onClick={() => dismissDroneEvent(event.id)}
+            title="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DroneEventToasts;
@@ -1,8 +1,130 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { FixedSizeList as List } from 'react-window';
-import { useDroneStore } from '../stores/droneStore';
+import { useDroneStore, CONTACT_STATES } from '../stores/droneStore';
+import { isFilterActive, SORT_OPTIONS } from '../utils/droneFilters';
+import { AUTHORIZATION } from '../../../shared/authorizationRules.js';
+import { formatDuration } from '../utils/formatters';
 import './DroneList.css';
 
+// Height reserved for the lost-contact section under the list
+const LOST_SECTION_HEIGHT = 160;
+// Heights of the search/sort bar and of the expanded filter panel
+const FILTER_BAR_HEIGHT = 84;
+const FILTER_PANEL_HEIGHT = 140;
+
+// Empty number inputs clear the limit
+const parseLimit = (value) => (value === '' ? null : Number(value));
+
+const DroneListFilters = ({ statuses, expanded, onToggleExpanded }) => {
+  const {
+    droneFilter,
+    droneSort,
+    filterMap,
+    setDroneFilter,
+    resetDroneFilter,
+    setDroneSort,
+    setFilterMap
+  } = useDroneStore();
+  const filterActive = isFilterActive(droneFilter);
+
+  return (
+    <div className="drone-list-filters">
+      <input
+        type="search"
+        className="drone-search"
+        placeholder="Search serial, registration, name, pilot"
+        value={droneFilter.query}
+        onChange={(e) => setDroneFilter({ query: e.target.value })}
+      />
+      <div className="drone-filter-row">
+        <select
+          value={droneSort.key}
+          onChange={(e) => setDroneSort({ key: e.target.value })}
+          title="Sort by"
+        >
+          {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+            <option key={key} value={key}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          className="sort-direction"
+          onClick={() => setDroneSort({ direction: droneSort.direction === 'asc' ? 'desc' : 'asc' })}
+          disabled={droneSort.key === 'none'}
+          title={droneSort.direction === 'asc' ? 'Ascending' : 'Descending'}
+        >
+          {droneSort.direction === 'asc' ? '↑' : '↓'}
+        </button>
+        <button
+          className={`filter-toggle ${filterActive ? 'active' : ''}`}
+          onClick={onToggleExpanded}
+        >
+          Filters{filterActive ? ' •' : ''}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="drone-filter-panel">
+          <div className="drone-filter-row">
+            <select
+              value={droneFilter.authorization}
+              onChange={(e) => setDroneFilter({ authorization: e.target.value })}
+            >
+              <option value="all">Any authorization</option>
+              {Object.values(AUTHORIZATION).map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+            <select
+              value={droneFilter.status}
+              onChange={(e) => setDroneFilter({ status: e.target.value })}
+            >
+              <option value="all">Any status</option>
+              {statuses.map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+          <div className="drone-filter-row">
+            <label>Altitude</label>
+            <input
+              type="number"
+              placeholder="min"
+              value={droneFilter.minAltitude ?? ''}
+              onChange={(e) => setDroneFilter({ minAltitude: parseLimit(e.target.value) })}
+            />
+            <input
+              type="number"
+              placeholder="max"
+              value={droneFilter.maxAltitude ?? ''}
+              onChange={(e) => setDroneFilter({ maxAltitude: parseLimit(e.target.value) })}
+            />
+          </div>
+          <div className="drone-filter-row">
+            <label>Battery below</label>
+            <input
+              type="number"
+              placeholder="%"
+              value={droneFilter.batteryBelow ?? ''}
+              onChange={(e) => setDroneFilter({ batteryBelow: parseLimit(e.target.value) })}
+            />
+          </div>
+          <div className="drone-filter-row">
+            <label className="filter-map-toggle">
+              <input
+                type="checkbox"
+                checked={filterMap}
+                onChange={(e) => setFilterMap(e.target.checked)}
+              />
+              Apply to map
+            </label>
+            <button onClick={resetDroneFilter} disabled={!filterActive}>Reset</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const DroneItem = ({ index, style, data }) => {
   const { drone, onDroneClick, selectedDroneId } = data;
   const droneData = drone[index];
@@ -11,12 +133,12 @@ const DroneItem = ({ index, style, data }) => {
 
   const isSelected = selectedDroneId === droneData.id;
   const color = droneData.color;
-  const flightTime = droneData.flightTime || '00:00:00';
+  const flightTime = formatDuration(droneData.flightTime);
   
   return (
     <div 
       style={style} 
-      className={`drone-item ${isSelected ? 'selected' : ''}`}
+      className={`drone-item ${isSelected ? 'selected' : ''} ${droneData.contactState === CONTACT_STATES.STALE ? 'stale' : ''}`}
       onClick={() => onDroneClick(droneData.id)}
     >
       <div className="drone-item-content">
@@ -25,7 +147,9 @@ const DroneItem = ({ index, style, data }) => {
             <div className={`drone-status ${color}`}></div>
             <span className="drone-id">{droneData.id}</span>
           </div>
-          <span className="flight-time">{flightTime}</span>
+          <span className={`flight-time ${droneData.airborne ? '' : 'grounded'}`} title={droneData.airborne ? 'Flight time' : 'Last flight time (on ground)'}>
+            {flightTime}
+          </span>
         </div>
         <div className="drone-details">
           <div className="drone-info-row">
@@ -53,11 +177,19 @@ const DroneItem = ({ index, style, data }) => {
 const DroneList = ({ onDroneClick }) => {
   const { 
     getActiveDrones, 
+    getFilteredDrones,
+    droneFilter,
     selectedDroneId, 
     getRedDronesCount
   } = useDroneStore();
+  const [filtersExpanded, setFiltersExpanded] = useState(false);
   
-  const activeDrones = getActiveDrones();
+  const allDrones = getActiveDrones();
+  const displayedDrones = getFilteredDrones();
+  const activeDrones = displayedDrones.filter(drone => drone.contactState !== CONTACT_STATES.LOST);
+  const lostDrones = displayedDrones.filter(drone => drone.contactState === CONTACT_STATES.LOST);
+  const statuses = [...new Set(allDrones.map(drone => drone.status))].sort();
+  const filterActive = isFilterActive(droneFilter);
   const redDroneCount = getRedDronesCount();
   
   const itemData = useMemo(() => ({
@@ -82,16 +214,32 @@ const DroneList = ({ onDroneClick }) => {
           {/* Stats */}
           <div className="drone-stats">
             <div className="stat-item">
-              <span className="stat-number">{activeDrones.length}</span>
+              <span className="stat-number">
+                {filterActive ? `${displayedDrones.length}/${allDrones.length}` : activeDrones.length}
+              </span>
               <span className="stat-label">Drones</span>
             </div>
+            <div className="stat-item unauthorized">
+              <span className="stat-number">{redDroneCount}</span>
+              <span className="stat-label">Unauthorized</span>
+            </div>
           </div>
+
+          <DroneListFilters
+            statuses={statuses}
+            expanded={filtersExpanded}
+            onToggleExpanded={() => setFiltersExpanded(!filtersExpanded)}
+          />
         </div>
         
         <div className="drone-list-content">
           {activeDrones.length > 0 ? (
             <List
-              height={window.innerHeight - 200}
+              height={
+                window.innerHeight - 200 - FILTER_BAR_HEIGHT
+                - (filtersExpanded ? FILTER_PANEL_HEIGHT : 0)
+                - (lostDrones.length > 0 ? LOST_SECTION_HEIGHT : 0)
+              }
               itemCount={activeDrones.length}
               itemSize={120}
               itemData={itemData}
@@ -101,10 +249,32 @@ const DroneList = ({ onDroneClick }) => {
             </List>
           ) : (
             <div className="no-drones">
-              <p>No active drones</p>
+              <p>{filterActive ? 'No drones match the filter' : 'No active drones'}</p>
             </div>
           )}
         </div>
+
+        {lostDrones.length > 0 && (
+          <div className="lost-contact-section">
+            <div className="lost-contact-header">
+              Lost contact <span className="lost-contact-count">{lostDrones.length}</span>
+            </div>
+            <div className="lost-contact-list">
+              {lostDrones.map(drone => (
+                <div
+                  key={drone.id}
+                  className={`lost-contact-item ${selectedDroneId === drone.id ? 'selected' : ''}`}
+                  onClick={() => onDroneClick(drone.id)}
+                >
+                  <span className="drone-id">{drone.id}</span>
+                  <span className="lost-contact-age">
+                    {Math.round((Date.now() - drone.lastSeen) / 1000)}s ago
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
     </>
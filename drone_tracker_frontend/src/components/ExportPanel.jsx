@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { useDroneStore } from '../stores/droneStore';
+import { fetchHistory } from '../services/apiService';
+import { EXPORT_FORMATS, exportTracks, exportFilename } from '../../../shared/exporters.js';
+import { snapshotToExportTracks, pathsToExportTracks, historyToExportTracks } from '../utils/exportData';
+import './ExportPanel.css';
+
+const EXPORT_SCOPES = {
+  SNAPSHOT: 'snapshot',
+  SELECTED_TRACK: 'selectedTrack',
+  FILTERED_TRACKS: 'filteredTracks',
+  HISTORY: 'history'
+};
+
+const DEFAULT_HISTORY_WINDOW_MS = 60 * 60 * 1000;
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toLocalInputValue = (timestamp) => {
+  const date = new Date(timestamp);
+  return new Date(timestamp - date.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 16);
+};
+
+const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Downloads the current snapshot, drone tracks or the server's history in
+// GeoJSON, KML, GPX or CSV (see shared/exporters.js)
+const ExportPanel = ({ open, onToggle }) => {
+  const { getActiveDrones, getFilteredDrones, getDisplayedDrones, getDisplayedPaths, selectedDroneId } = useDroneStore();
+  const [format, setFormat] = useState('geojson');
+  const [scope, setScope] = useState(EXPORT_SCOPES.SNAPSHOT);
+  const [from, setFrom] = useState(() => toLocalInputValue(Date.now() - DEFAULT_HISTORY_WINDOW_MS));
+  const [to, setTo] = useState(() => toLocalInputValue(Date.now()));
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const selectedDrone = selectedDroneId ? getDisplayedDrones().get(selectedDroneId) : null;
+  const filteredCount = open ? getFilteredDrones().length : 0;
+
+  const buildTracks = async () => {
+    switch (scope) {
+      case EXPORT_SCOPES.SNAPSHOT:
+        return { tracks: snapshotToExportTracks(getActiveDrones()), prefix: 'airspace', title: 'Airspace snapshot' };
+      case EXPORT_SCOPES.SELECTED_TRACK:
+        return {
+          tracks: pathsToExportTracks(selectedDrone ? [selectedDrone] : [], getDisplayedPaths()),
+          prefix: `track-${selectedDroneId}`,
+          title: `Track of ${selectedDroneId}`
+        };
+      case EXPORT_SCOPES.FILTERED_TRACKS:
+        return { tracks: pathsToExportTracks(getFilteredDrones(), getDisplayedPaths()), prefix: 'tracks', title: 'Drone tracks' };
+      default: {
+        const range = { from: new Date(from).getTime(), to: new Date(to).getTime() };
+        if (!Number.isFinite(range.from) || !Number.isFinite(range.to) || range.from > range.to) {
+          throw new Error('Choose a valid time range');
+        }
+        const { tracks, truncated } = await fetchHistory(range);
+        return { tracks: historyToExportTracks(tracks), prefix: 'history', title: 'Drone history', truncated };
+      }
+    }
+  };
+
+  const handleExport = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const { tracks, prefix, title, truncated } = await buildTracks();
+      if (tracks.length === 0) {
+        setMessage({ type: 'error', text: 'Nothing to export' });
+        return;
+      }
+      const { content, mimeType } = exportTracks(tracks, format, { title });
+      downloadFile(exportFilename(prefix, format), content, mimeType);
+      const points = tracks.reduce((total, track) => total + track.points.length, 0);
+      setMessage({
+        type: 'success',
+        text: `Exported ${tracks.length} drone(s), ${points} point(s)${truncated ? ' (the server sent only the most recent points of this range)' : ''}`
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Export failed: ${error.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <button className="export-toggle" onClick={onToggle} title="Export data">⤓</button>
+
+      {open && (
+        <div className="export-panel">
+          <div className="export-panel-header">
+            <h3>Export</h3>
+            <button className="export-panel-close" onClick={onToggle} title="Close">×</button>
+          </div>
+
+          <fieldset>
+            <legend>Data</legend>
+            <label>
+              <input
+                type="radio"
+                checked={scope === EXPORT_SCOPES.SNAPSHOT}
+                onChange={() => setScope(EXPORT_SCOPES.SNAPSHOT)}
+              />
+              Current positions
+            </label>
+            <label className={selectedDrone ? '' : 'disabled'}>
+              <input
+                type="radio"
+                disabled={!selectedDrone}
+                checked={scope === EXPORT_SCOPES.SELECTED_TRACK}
+                onChange={() => setScope(EXPORT_SCOPES.SELECTED_TRACK)}
+              />
+              Track of the selected drone{selectedDrone ? ` (${selectedDrone.id})` : ''}
+            </label>
+            <label>
+              <input
+                type="radio"
+                checked={scope === EXPORT_SCOPES.FILTERED_TRACKS}
+                onChange={() => setScope(EXPORT_SCOPES.FILTERED_TRACKS)}
+              />
+              Tracks of drones in the list ({filteredCount})
+            </label>
+            <label>
+              <input
+                type="radio"
+                checked={scope === EXPORT_SCOPES.HISTORY}
+                onChange={() => setScope(EXPORT_SCOPES.HISTORY)}
+              />
+              Server history
+            </label>
+            {scope === EXPORT_SCOPES.HISTORY && (
+              <div className="export-range">
+                <input type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} />
+                <span>to</span>
+                <input type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} />
+              </div>
+            )}
+          </fieldset>
+
+          <fieldset>
+            <legend>Format</legend>
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </fieldset>
+
+          {message && <div className={`export-message ${message.type}`}>{message.text}</div>}
+
+          <button
+            className="export-download"
+            onClick={handleExport}
+            disabled={busy || (scope === EXPORT_SCOPES.SELECTED_TRACK && !selectedDrone)}
+          >
+            {busy ? 'Exporting…' : 'Download'}
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,208 @@
+import React from 'react';
+import { useDroneStore } from '../stores/droneStore';
+import { formatTime } from '../utils/formatters';
+import dashboardIcon from '../assets/dashboard.svg';
+import './FleetDashboard.css';
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 140;
+
+// Multi-series line chart over the statistics samples
+const LineChart = ({ samples, series }) => {
+  if (samples.length < 2) {
+    return <div className="dashboard-empty">Collecting data…</div>;
+  }
+
+  const max = Math.max(1, ...series.flatMap(({ key }) => samples.map(sample => sample[key])));
+  const start = samples[0].timestamp;
+  const span = samples[samples.length - 1].timestamp - start || 1;
+  const toPoints = (key) => samples
+    .map(sample => {
+      const x = ((sample.timestamp - start) / span) * CHART_WIDTH;
+      const y = CHART_HEIGHT - 4 - (sample[key] / max) * (CHART_HEIGHT - 8);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <>
+      <svg
+        className="dashboard-chart"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+      >
+        {series.map(({ key, color }) => (
+          <polyline key={key} points={toPoints(key)} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+        ))}
+      </svg>
+      <div className="dashboard-chart-axis">
+        <span>{new Date(start).toLocaleTimeString()}</span>
+        <span>max {max}</span>
+        <span>{new Date(samples[samples.length - 1].timestamp).toLocaleTimeString()}</span>
+      </div>
+      <div className="dashboard-legend">
+        {series.map(({ key, label, color }) => (
+          <span key={key}><i style={{ background: color }}></i>{label}</span>
+        ))}
+      </div>
+    </>
+  );
+};
+
+// Horizontal bars for [label, count] entries, largest first
+const BarList = ({ counts, color }) => {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const max = Math.max(1, ...entries.map(([, count]) => count));
+
+  return (
+    <div className="dashboard-bars">
+      {entries.map(([label, count]) => (
+        <div key={label} className="dashboard-bar-row">
+          <span className="dashboard-bar-label" title={label}>{label}</span>
+          <div className="dashboard-bar-track">
+            <div className="dashboard-bar" style={{ width: `${(count / max) * 100}%`, background: color }}></div>
+          </div>
+          <span className="dashboard-bar-count">{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Histogram = ({ buckets }) => {
+  const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+
+  return (
+    <div className="dashboard-histogram">
+      {buckets.map(bucket => (
+        <div key={bucket.from} className="dashboard-histogram-column" title={`${bucket.from}–${bucket.to} m: ${bucket.count}`}>
+          <span className="dashboard-histogram-count">{bucket.count || ''}</span>
+          <div className="dashboard-histogram-bar" style={{ height: `${(bucket.count / max) * 100}%` }}></div>
+          <span className="dashboard-histogram-label">{bucket.from}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Kpi = ({ label, value, className = '' }) => (
+  <div className={`dashboard-kpi ${className}`}>
+    <span className="dashboard-kpi-value">{value}</span>
+    <span className="dashboard-kpi-label">{label}</span>
+  </div>
+);
+
+// Latest telemetry messages that failed schema validation
+const RejectionList = ({ rejections }) => {
+  if (rejections.length === 0) {
+    return <div className="dashboard-empty">No rejected messages</div>;
+  }
+
+  return (
+    <ul className="dashboard-rejections">
+      {rejections.map((rejection, index) => (
+        <li key={`${rejection.timestamp}-${index}`}>
+          <span className="dashboard-rejection-time">{formatTime(rejection.timestamp)}</span>
+          <span className="dashboard-rejection-serial">{rejection.serial || `#${rejection.index ?? '-'}`}</span>
+          <span className="dashboard-rejection-errors">{rejection.errors.join('; ')}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Fleet overview built on getStatistics() and the sampled statistics history
+const FleetDashboard = ({ open, onToggle }) => {
+  const { getStatistics, statisticsHistory, telemetryStats } = useDroneStore();
+  const statistics = open ? getStatistics() : null;
+
+  return (
+    <>
+      <button className="dashboard-toggle" onClick={onToggle} title="Fleet dashboard">
+        <img src={dashboardIcon} alt="Dashboard" />
+      </button>
+
+      {open && (
+        <div className="fleet-dashboard">
+          <div className="fleet-dashboard-header">
+            <h3>Fleet dashboard</h3>
+            <button className="fleet-dashboard-close" onClick={onToggle} title="Close">×</button>
+          </div>
+
+          {!statistics ? (
+            <div className="dashboard-empty">No drones reported yet</div>
+          ) : (
+            <div className="fleet-dashboard-body">
+              <div className="dashboard-kpis">
+                <Kpi label="Drones" value={statistics.totalDrones} />
+                <Kpi label="Unauthorized" value={statistics.redDrones} className="red" />
+                <Kpi label="Authorized" value={statistics.greenDrones} className="green" />
+                <Kpi label="Unknown" value={statistics.unknownDrones} />
+                <Kpi label="Lost contact" value={statistics.byContactState.lost || 0} />
+                <Kpi label="Avg altitude" value={`${statistics.averageAltitude.toFixed(0)} m`} />
+                <Kpi
+                  label="Altitude range"
+                  value={`${statistics.minAltitude.toFixed(0)}–${statistics.maxAltitude.toFixed(0)} m`}
+                />
+                <Kpi
+                  label="Rejected messages"
+                  value={telemetryStats.rejected}
+                  className={telemetryStats.rejected > 0 ? 'red' : ''}
+                />
+              </div>
+
+              <div className="dashboard-grid">
+                <section className="dashboard-card wide">
+                  <h4>Drones over time</h4>
+                  <LineChart
+                    samples={statisticsHistory}
+                    series={[
+                      { key: 'total', label: 'Total', color: '#3B82F6' },
+                      { key: 'authorized', label: 'Authorized', color: '#10B981' },
+                      { key: 'unknown', label: 'Unknown', color: '#9CA3AF' }
+                    ]}
+                  />
+                </section>
+
+                <section className="dashboard-card wide">
+                  <h4>Unauthorized drones this session</h4>
+                  <LineChart
+                    samples={statisticsHistory}
+                    series={[{ key: 'unauthorized', label: 'Unauthorized', color: '#EF4444' }]}
+                  />
+                </section>
+
+                <section className="dashboard-card">
+                  <h4>Altitude distribution (m)</h4>
+                  <Histogram buckets={statistics.altitudeDistribution} />
+                </section>
+
+                <section className="dashboard-card">
+                  <h4>By organization</h4>
+                  <BarList counts={statistics.byOrganization} color="#8B5CF6" />
+                </section>
+
+                <section className="dashboard-card">
+                  <h4>By status</h4>
+                  <BarList counts={statistics.byStatus} color="#F59E0B" />
+                </section>
+
+                <section className="dashboard-card">
+                  <h4>By contact</h4>
+                  <BarList counts={statistics.byContactState} color="#06B6D4" />
+                </section>
+
+                <section className="dashboard-card wide">
+                  <h4>Rejected telemetry</h4>
+                  <RejectionList rejections={telemetryStats.recentRejections.slice(0, 10)} />
+                </section>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default FleetDashboard;
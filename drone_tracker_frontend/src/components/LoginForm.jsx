@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { useAuthStore } from '../stores/authStore';
+import './LoginForm.css';
+
+// Shown instead of the dashboard while the server requires a login
+const LoginForm = () => {
+  const { login, error } = useAuthStore();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    const signedIn = await login(username.trim(), password);
+    if (!signedIn) {
+      setSubmitting(false);
+      setPassword('');
+    }
+  };
+
+  return (
+    <div className="login-screen">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h2>Drone Tracker</h2>
+        <p className="login-subtitle">Sign in to see the airspace</p>
+
+        <label>
+          Username
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoFocus
+            required
+          />
+        </label>
+
+        <label>
+          Password
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </label>
+
+        {error && <div className="login-error">{error}</div>}
+
+        <button type="submit" disabled={submitting || !username.trim() || !password}>
+          {submitting ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
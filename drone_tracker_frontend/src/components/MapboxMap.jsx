@@ -1,25 +1,123 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import mapboxgl from 'mapbox-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
 import useDroneStore from '../stores/droneStore';
+import useZoneStore from '../stores/zoneStore';
+import { ZONE_STATES } from '../utils/geofence';
+import { filterDroneMap } from '../utils/droneFilters';
+import { formatDuration } from '../utils/formatters';
+import {
+  buildDroneFeatures,
+  buildTrailFeatures,
+  buildZoneFeatures,
+  droneHaloLayer,
+  droneIconLayer,
+  dronePointLayer,
+  trailLayer,
+  zoneFillLayer,
+  zoneLabelLayer,
+  zoneLineLayer,
+  DRONE_POINT_LAYER_ID,
+  DRONE_SOURCE_ID,
+  MARKER_COLORS,
+  TRAIL_MODES,
+  TRAIL_SOURCE_ID,
+  ZONE_SOURCE_ID
+} from '../utils/mapLayers';
+import { addDroneIcons } from '../utils/droneIcon';
+import MotionInterpolator from '../utils/motionInterpolator';
 
-const MapboxMap = ({ onMapLoad, onDroneSelect, selectedDroneId: propSelectedDroneId, mapboxAccessToken }) => {
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+// Interpolated positions are pushed to the map every animation frame while
+// drones move; fleets over VITE_LARGE_FLEET_SIZE drones are throttled to one
+// update every VITE_UPDATE_INTERVAL ms to keep the frame rate up, and the map
+// says so
+const LARGE_FLEET_SIZE = Number(import.meta.env.VITE_LARGE_FLEET_SIZE) || 500;
+const LARGE_FLEET_FRAME_MS = Number(import.meta.env.VITE_UPDATE_INTERVAL) || 200;
+
+const POPUP_STYLE = `
+  background: rgba(0,0,0,0.9);
+  color: white;
+  padding: 8px 12px;
+  border-radius: 6px;
+  font-size: 12px;
+  border: 1px solid rgba(255,255,255,0.2);
+`;
+
+const popupElement = (style, text) => {
+  const element = document.createElement('div');
+  element.style.cssText = style;
+  if (text !== undefined) element.textContent = text;
+  return element;
+};
+
+// Names and statuses can come from any publisher, so the popup is built from
+// text nodes rather than HTML
+const buildPopupContent = (drone, zones) => {
+  const container = popupElement(POPUP_STYLE);
+  container.appendChild(popupElement('font-weight: bold; margin-bottom: 4px;', drone.name));
+
+  const details = popupElement('font-size: 10px; opacity: 0.8;');
+  [
+    `Status: ${drone.status}`,
+    `Authorization: ${drone.authorization}`,
+    `Battery: ${drone.battery != null ? `${Math.round(drone.battery)}%` : '—'}`,
+    `Altitude: ${Math.round(drone.position.altitude)}m`,
+    `Flight time: ${formatDuration(drone.flightTime)}${drone.airborne ? '' : ' (landed)'}`
+  ].forEach(line => details.appendChild(popupElement('', line)));
+  if (zones.length > 0) {
+    details.appendChild(popupElement('color: #F59E0B;', `Inside: ${zones.map(zone => zone.name).join(', ')}`));
+  }
+  container.appendChild(details);
+
+  return container;
+};
+
+const MapboxMap = ({ onMapLoad, onDroneSelect, onReconnect, selectedDroneId: propSelectedDroneId, mapboxAccessToken }) => {
   const mapContainer = useRef(null);
   const map = useRef(null);
   const [mapLoaded, setMapLoaded] = useState(false);
-  const markersRef = useRef(new Map());
+  const popupRef = useRef(null);
+  const hoveredDroneIdRef = useRef(null);
+  const featureStateSelectedRef = useRef(null);
+  const interpolatorRef = useRef(new MotionInterpolator());
+  const displayedDronesRef = useRef(new Map());
+  const hasCenteredOnDataRef = useRef(false);
   
   const { 
-    drones, 
+    drones: liveDrones,
+    dronePaths,
+    trailMode,
+    setTrailMode,
+    replay,
+    getDronesAt,
+    getDisplayedPaths,
+    droneFilter,
+    filterMap,
     selectedDroneId, 
     selectDrone, 
     clearSelection,
-    connectionStatus
+    connectionStatus,
+    connectionError,
+    reconnectAttempts
   } = useDroneStore();
+  const { zones, droneZoneStates } = useZoneStore();
+
+  // Live drones, or the airspace at the replay time, optionally narrowed to the sidebar filter
+  const displayedDrones = replay.active ? getDronesAt(replay.time) : liveDrones;
+  const drones = useMemo(
+    () => (filterMap ? filterDroneMap(displayedDrones, droneFilter) : displayedDrones),
+    [displayedDrones, filterMap, droneFilter]
+  );
 
   // Use prop selectedDroneId if provided, otherwise use store selectedDroneId
   const currentSelectedDroneId = propSelectedDroneId || selectedDroneId;
 
+  // Map event handlers are registered once, so they read the latest values from a ref
+  const handlersRef = useRef({});
+  handlersRef.current = { currentSelectedDroneId, selectDrone, clearSelection, onDroneSelect };
+
   // Initialize Mapbox map
   useEffect(() => {
     if (!mapboxAccessToken) {
@@ -41,12 +139,79 @@ const MapboxMap = ({ onMapLoad, onDroneSelect, selectedDroneId: propSelectedDron
     });
 
     map.current.on('load', () => {
+      // Zones sit below everything else
+      map.current.addSource(ZONE_SOURCE_ID, { type: 'geojson', data: EMPTY_COLLECTION });
+      map.current.addLayer(zoneFillLayer);
+      map.current.addLayer(zoneLineLayer);
+      map.current.addLayer(zoneLabelLayer);
+
+      // Flight trails sit below the drones
+      map.current.addSource(TRAIL_SOURCE_ID, { type: 'geojson', data: EMPTY_COLLECTION });
+      map.current.addLayer(trailLayer);
+
+      // All drones come from one source, updated in place; `promoteId` lets
+      // feature-state track selection and hover by drone id across updates
+      map.current.addSource(DRONE_SOURCE_ID, {
+        type: 'geojson',
+        data: EMPTY_COLLECTION,
+        promoteId: 'id'
+      });
+      map.current.addLayer(droneHaloLayer);
+      map.current.addLayer(dronePointLayer);
+
+      // Icons load asynchronously; the symbol layer is added once they exist
+      const loadedMap = map.current;
+      addDroneIcons(loadedMap, MARKER_COLORS)
+        .then(() => {
+          if (map.current === loadedMap && !loadedMap.getLayer(droneIconLayer.id)) {
+            loadedMap.addLayer(droneIconLayer);
+          }
+        })
+        .catch(error => console.error(error.message));
+
       setMapLoaded(true);
       if (onMapLoad) {
         onMapLoad(map.current);
       }
     });
 
+    // One map-level click handler instead of a listener per marker
+    map.current.on('click', DRONE_POINT_LAYER_ID, (event) => {
+      const droneId = event.features[0]?.properties.id;
+      if (!droneId) return;
+
+      const { currentSelectedDroneId, selectDrone, clearSelection, onDroneSelect } = handlersRef.current;
+      if (currentSelectedDroneId === droneId) {
+        clearSelection();
+      } else {
+        selectDrone(droneId);
+      }
+
+      if (onDroneSelect) {
+        onDroneSelect(droneId);
+      }
+    });
+
+    map.current.on('mousemove', DRONE_POINT_LAYER_ID, (event) => {
+      const droneId = event.features[0]?.properties.id;
+      if (!droneId || droneId === hoveredDroneIdRef.current) return;
+
+      if (hoveredDroneIdRef.current) {
+        map.current.setFeatureState({ source: DRONE_SOURCE_ID, id: hoveredDroneIdRef.current }, { hover: false });
+      }
+      hoveredDroneIdRef.current = droneId;
+      map.current.setFeatureState({ source: DRONE_SOURCE_ID, id: droneId }, { hover: true });
+      map.current.getCanvas().style.cursor = 'pointer';
+    });
+
+    map.current.on('mouseleave', DRONE_POINT_LAYER_ID, () => {
+      if (hoveredDroneIdRef.current) {
+        map.current.setFeatureState({ source: DRONE_SOURCE_ID, id: hoveredDroneIdRef.current }, { hover: false });
+      }
+      hoveredDroneIdRef.current = null;
+      map.current.getCanvas().style.cursor = '';
+    });
+
     // Add navigation controls
     map.current.addControl(new mapboxgl.NavigationControl(), 'top-right');
     
@@ -61,145 +226,143 @@ const MapboxMap = ({ onMapLoad, onDroneSelect, selectedDroneId: propSelectedDron
     };
   }, [mapboxAccessToken, onMapLoad]);
 
-  // Update drone markers
+  // Redraw zones, highlighting those with a drone inside
   useEffect(() => {
     if (!map.current || !mapLoaded) return;
 
-    // Clear existing markers
-    markersRef.current.forEach(marker => marker.remove());
-    markersRef.current.clear();
-
-    // Add new markers for each drone
-    Array.from(drones.values()).forEach(drone => {
-      if (!drone.position || !drone.position.lat || !drone.position.lng) return;
-
-      // Determine drone color based on status
-      const getDroneColor = (status) => {
-        switch(status?.toLowerCase()) {
-          case 'active':
-          case 'flying':
-            return '#00ff00'; // Green
-          case 'warning':
-          case 'low battery':
-            return '#ffff00'; // Yellow
-          case 'critical':
-          case 'emergency':
-          case 'unauthorized':
-            return '#ff0000'; // Red
-          case 'idle':
-          case 'landed':
-            return '#0080ff'; // Blue
-          default:
-            return '#00ff00'; // Default green
-        }
-      };
-
-      const droneColor = getDroneColor(drone.status);
-      const isSelected = currentSelectedDroneId === drone.id;
-
-      // Create custom marker element
-      const markerElement = document.createElement('div');
-      markerElement.className = 'drone-marker';
-      markerElement.style.cssText = `
-        width: 20px;
-        height: 20px;
-        background-color: ${droneColor};
-        border-radius: 50%;
-        border: ${isSelected ? '3px solid #ffffff' : '2px solid rgba(255,255,255,0.8)'};
-        box-shadow: ${isSelected 
-          ? `0 0 20px ${droneColor}, 0 0 40px ${droneColor}80`
-          : `0 0 10px ${droneColor}80`};
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: all 0.3s ease;
-        position: relative;
-      `;
-
-      // Add drone icon
-      markerElement.innerHTML = `
-        <svg width="12" height="12" viewBox="0 0 24 24" fill="#000" style="font-weight: bold;">
-          <path d="M12 2L13.09 8.26L20 9L13.09 9.74L12 16L10.91 9.74L4 9L10.91 8.26L12 2Z" />
-        </svg>
-      `;
-
-      // Add pulsing effect for active drones
-      if (drone.status?.toLowerCase() === 'active') {
-        const pulseElement = document.createElement('div');
-        pulseElement.style.cssText = `
-          position: absolute;
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
-          width: 30px;
-          height: 30px;
-          border-radius: 50%;
-          border: 2px solid ${droneColor};
-          opacity: 0.6;
-          animation: pulse 2s infinite;
-        `;
-        markerElement.appendChild(pulseElement);
-      }
+    const occupiedZoneIds = new Set();
+    droneZoneStates.forEach(states => states.forEach((state, zoneId) => {
+      if (state === ZONE_STATES.INSIDE) occupiedZoneIds.add(zoneId);
+    }));
+    map.current.getSource(ZONE_SOURCE_ID)?.setData({
+      type: 'FeatureCollection',
+      features: buildZoneFeatures(zones, occupiedZoneIds)
+    });
+  }, [zones, droneZoneStates, mapLoaded]);
 
-      // Create marker
-      const marker = new mapboxgl.Marker(markerElement)
-        .setLngLat([drone.position.lng, drone.position.lat])
-        .addTo(map.current);
-
-      // Add click handler
-      markerElement.addEventListener('click', () => {
-        if (currentSelectedDroneId === drone.id) {
-          clearSelection();
-        } else {
-          selectDrone(drone.id);
-        }
-        
-        if (onDroneSelect) {
-          onDroneSelect(drone.id);
-        }
+  // Update flight trails
+  useEffect(() => {
+    if (!map.current || !mapLoaded) return;
+
+    const features = buildTrailFeatures({
+      drones,
+      dronePaths: getDisplayedPaths(),
+      trailMode,
+      selectedDroneId: currentSelectedDroneId,
+      untilTime: replay.active ? replay.time : Infinity
+    });
+    map.current.getSource(TRAIL_SOURCE_ID)?.setData({ type: 'FeatureCollection', features });
+  }, [drones, dronePaths, getDisplayedPaths, trailMode, currentSelectedDroneId, replay, mapLoaded]);
+
+  // Feed new fixes to the interpolator. Replay jumps straight to the recorded positions.
+  useEffect(() => {
+    displayedDronesRef.current = drones;
+    if (replay.active) {
+      interpolatorRef.current.clear();
+    } else {
+      interpolatorRef.current.update(drones, performance.now());
+    }
+  }, [drones, replay.active]);
+
+  // Render loop: update drone positions in place on the GPU-rendered source
+  useEffect(() => {
+    if (!map.current || !mapLoaded) return;
+
+    let frameId;
+    let lastRender = 0;
+    let lastRenderedDrones = null;
+    let wasMoving = false;
+
+    const render = (now) => {
+      frameId = requestAnimationFrame(render);
+
+      const currentDrones = displayedDronesRef.current;
+      const frameInterval = currentDrones.size > LARGE_FLEET_SIZE ? LARGE_FLEET_FRAME_MS : 0;
+      if (now - lastRender < frameInterval) return;
+      lastRender = now;
+
+      // Only push data when drones changed or are still moving; one more frame
+      // after motion stops puts every drone at its final position
+      const interpolator = interpolatorRef.current;
+      const moving = interpolator.isMoving(now);
+      if (!moving && !wasMoving && currentDrones === lastRenderedDrones) return;
+      wasMoving = moving;
+      lastRenderedDrones = currentDrones;
+
+      const positions = interpolator.tracks.size > 0 ? interpolator.sample(now) : null;
+
+      map.current?.getSource(DRONE_SOURCE_ID)?.setData({
+        type: 'FeatureCollection',
+        features: buildDroneFeatures(currentDrones, positions)
       });
 
-      // Create popup for selected drone
-      if (isSelected) {
-        const popup = new mapboxgl.Popup({
-          offset: 25,
-          closeButton: false,
-          closeOnClick: false
-        })
-        .setHTML(`
-          <div style="
-            background: rgba(0,0,0,0.9);
-            color: white;
-            padding: 8px 12px;
-            border-radius: 6px;
-            font-size: 12px;
-            border: 1px solid rgba(255,255,255,0.2);
-          ">
-            <div style="font-weight: bold; margin-bottom: 4px;">
-              ${drone.name}
-            </div>
-            <div style="font-size: 10px; opacity: 0.8;">
-              Status: ${drone.status}<br/>
-              Battery: ${drone.battery}%<br/>
-              Altitude: ${Math.round(drone.position.altitude)}m
-            </div>
-          </div>
-        `);
-        
-        marker.setPopup(popup);
-        popup.addTo(map.current);
+      // The popup follows the rendered (interpolated) position of its drone
+      const popupDroneId = featureStateSelectedRef.current;
+      const popupPosition = popupDroneId && positions?.get(popupDroneId);
+      if (popupRef.current && popupPosition) {
+        popupRef.current.setLngLat([popupPosition.lng, popupPosition.lat]);
       }
+    };
 
-      markersRef.current.set(drone.id, marker);
-    });
-  }, [drones, currentSelectedDroneId, mapLoaded, selectDrone, clearSelection, onDroneSelect]);
+    frameId = requestAnimationFrame(render);
+    return () => cancelAnimationFrame(frameId);
+  }, [mapLoaded]);
 
-  // Center map on selected drone
+  // Mirror the selection into feature-state
+  useEffect(() => {
+    if (!map.current || !mapLoaded) return;
+
+    if (featureStateSelectedRef.current) {
+      map.current.setFeatureState({ source: DRONE_SOURCE_ID, id: featureStateSelectedRef.current }, { selected: false });
+    }
+    if (currentSelectedDroneId) {
+      map.current.setFeatureState({ source: DRONE_SOURCE_ID, id: currentSelectedDroneId }, { selected: true });
+    }
+    featureStateSelectedRef.current = currentSelectedDroneId;
+  }, [currentSelectedDroneId, mapLoaded]);
+
+  // Keep a single popup attached to the selected drone
+  useEffect(() => {
+    if (!map.current || !mapLoaded) return;
+
+    const selectedDrone = currentSelectedDroneId ? drones.get(currentSelectedDroneId) : null;
+    if (!selectedDrone?.position?.lat || !selectedDrone?.position?.lng) {
+      popupRef.current?.remove();
+      popupRef.current = null;
+      return;
+    }
+
+    if (!popupRef.current) {
+      popupRef.current = new mapboxgl.Popup({
+        offset: 25,
+        closeButton: false,
+        closeOnClick: false
+      });
+    }
+    popupRef.current
+      .setLngLat([selectedDrone.position.lng, selectedDrone.position.lat])
+      .setDOMContent(buildPopupContent(selectedDrone, useZoneStore.getState().getZonesForDrone(currentSelectedDroneId)));
+    if (!popupRef.current.isOpen()) {
+      popupRef.current.addTo(map.current);
+    }
+  }, [drones, currentSelectedDroneId, mapLoaded]);
+
+  // Jump to the airspace once the first drones arrive (the data source may be anywhere)
+  useEffect(() => {
+    if (!map.current || !mapLoaded || hasCenteredOnDataRef.current) return;
+
+    const firstDrone = drones.values().next().value;
+    if (firstDrone?.position?.lat && firstDrone?.position?.lng) {
+      map.current.jumpTo({ center: [firstDrone.position.lng, firstDrone.position.lat] });
+      hasCenteredOnDataRef.current = true;
+    }
+  }, [drones, mapLoaded]);
+
+  // Center map on selected drone when the selection changes
   useEffect(() => {
     if (!map.current || !currentSelectedDroneId) return;
 
-    const selectedDrone = drones.get(currentSelectedDroneId);
+    const selectedDrone = useDroneStore.getState().getDisplayedDrones().get(currentSelectedDroneId);
     if (selectedDrone && selectedDrone.position) {
       map.current.flyTo({
         center: [selectedDrone.position.lng, selectedDrone.position.lat],
@@ -207,7 +370,7 @@ const MapboxMap = ({ onMapLoad, onDroneSelect, selectedDroneId: propSelectedDron
         duration: 1000
       });
     }
-  }, [currentSelectedDroneId, drones]);
+  }, [currentSelectedDroneId]);
 
   return (
     <div className="map-container" style={{
@@ -224,7 +387,17 @@ const MapboxMap = ({ onMapLoad, onDroneSelect, selectedDroneId: propSelectedDron
       />
       
       {/* Connection Status */}
-      <ConnectionStatus connectionStatus={connectionStatus} />
+      <ConnectionStatus
+        connectionStatus={connectionStatus}
+        connectionError={connectionError}
+        reconnectAttempts={reconnectAttempts}
+        onReconnect={onReconnect}
+      />
+
+      {/* Flight trail toggle */}
+      <TrailToggle trailMode={trailMode} onChange={setTrailMode} />
+
+      {drones.size > LARGE_FLEET_SIZE && <LargeFleetNotice droneCount={drones.size} />}
       
       {/* Add CSS for pulse animation */}
       <style>{`
@@ -248,15 +421,19 @@ const MapboxMap = ({ onMapLoad, onDroneSelect, selectedDroneId: propSelectedDron
 };
 
 // Connection Status Component
-const ConnectionStatus = ({ connectionStatus }) => {
+const ConnectionStatus = ({ connectionStatus, connectionError, reconnectAttempts, onReconnect }) => {
   const getStatusConfig = () => {
     switch (connectionStatus) {
       case 'connected':
         return { color: '#10B981', text: 'متصل', icon: '🟢' };
       case 'connecting':
         return { color: '#F59E0B', text: 'جاري الاتصال...', icon: '🟡' };
+      case 'reconnecting':
+        return { color: '#F59E0B', text: `إعادة الاتصال... (${reconnectAttempts})`, icon: '🟠' };
       case 'disconnected':
         return { color: '#6B7280', text: 'غير متصل', icon: '⚪' };
+      case 'failed':
+        return { color: '#EF4444', text: 'فشل الاتصال', icon: '🔴' };
       case 'error':
         return { color: '#EF4444', text: 'خطأ في الاتصال', icon: '🔴' };
       default:
@@ -265,6 +442,7 @@ const ConnectionStatus = ({ connectionStatus }) => {
   };
   
   const config = getStatusConfig();
+  const canReconnect = onReconnect && connectionStatus !== 'connected' && connectionStatus !== 'connecting';
   
   return (
     <div style={{
@@ -294,8 +472,102 @@ const ConnectionStatus = ({ connectionStatus }) => {
         fontSize: '13px',
         whiteSpace: 'nowrap'
       }}>{config.text}</span>
+      {connectionError && connectionStatus !== 'connected' && (
+        <span
+          title={connectionError}
+          style={{
+            fontSize: '11px',
+            color: 'rgba(255, 255, 255, 0.6)',
+            maxWidth: '180px',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap'
+          }}
+        >{connectionError}</span>
+      )}
+      {canReconnect && (
+        <button
+          onClick={onReconnect}
+          style={{
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            borderRadius: '4px',
+            color: '#fff',
+            fontSize: '12px',
+            padding: '2px 8px',
+            cursor: 'pointer'
+          }}
+        >إعادة الاتصال</button>
+      )}
     </div>
   );
 };
 
+// Trail visibility toggle: all drones, selected drone only, or none
+const TRAIL_OPTIONS = [
+  { mode: TRAIL_MODES.ALL, label: 'All' },
+  { mode: TRAIL_MODES.SELECTED, label: 'Selected' },
+  { mode: TRAIL_MODES.NONE, label: 'Off' }
+];
+
+const TrailToggle = ({ trailMode, onChange }) => (
+  <div style={{
+    position: 'absolute',
+    top: '70px',
+    left: '20px',
+    background: 'rgba(30, 30, 30, 0.95)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '8px',
+    padding: '4px',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '12px',
+    color: 'rgba(255, 255, 255, 0.7)',
+    backdropFilter: 'blur(10px)',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
+    zIndex: 1000
+  }}>
+    <span style={{ padding: '0 6px' }}>Trails</span>
+    {TRAIL_OPTIONS.map(({ mode, label }) => (
+      <button
+        key={mode}
+        onClick={() => onChange(mode)}
+        style={{
+          background: trailMode === mode ? 'rgba(255, 255, 255, 0.2)' : 'transparent',
+          border: 'none',
+          borderRadius: '4px',
+          color: trailMode === mode ? '#fff' : 'rgba(255, 255, 255, 0.6)',
+          fontSize: '12px',
+          padding: '4px 8px',
+          cursor: 'pointer'
+        }}
+      >{label}</button>
+    ))}
+  </div>
+);
+
+// Shown while the map is throttled for a large fleet
+const LargeFleetNotice = ({ droneCount }) => (
+  <div
+    title={`Above ${LARGE_FLEET_SIZE} drones the map is redrawn at most every ${LARGE_FLEET_FRAME_MS} ms (VITE_LARGE_FLEET_SIZE, VITE_UPDATE_INTERVAL)`}
+    style={{
+      position: 'absolute',
+      top: '112px',
+      left: '20px',
+      background: 'rgba(30, 30, 30, 0.95)',
+      border: '1px solid rgba(245, 158, 11, 0.4)',
+      borderRadius: '8px',
+      padding: '4px 10px',
+      fontSize: '12px',
+      color: '#F59E0B',
+      backdropFilter: 'blur(10px)',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
+      zIndex: 1000
+    }}
+  >
+    {droneCount} drones: map updates every {LARGE_FLEET_FRAME_MS} ms
+  </div>
+);
+
 export default MapboxMap;
\ No newline at end of file
@@ -0,0 +1,120 @@
+import React, { useRef, useState } from 'react';
+import { useDroneStore } from '../stores/droneStore';
+import { websocketService } from '../services/websocketService';
+import { parseRecording } from '../utils/recordingParsers';
+import { formatTime } from '../utils/formatters';
+import './RecordingControls.css';
+
+const PLAYBACK_SPEEDS = [1, 4, 16];
+const RECORDING_FILE_TYPES = '.ndjson,.jsonl,.json,.csv,.gpx';
+
+// Opens a recorded session (NDJSON, CSV or GPX) and controls its playback
+// through the same pipeline as live data
+const RecordingControls = () => {
+  const { recordingStatus } = useDroneStore();
+  const fileInput = useRef(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // allow reopening the same file
+    if (!file) return;
+
+    setError(null);
+    try {
+      const recording = parseRecording(await file.text(), file.name);
+      if (recording.skipped.length > 0) {
+        const [first] = recording.skipped;
+        console.warn(`Skipped ${recording.skipped.length} entries in ${file.name}, first at ${first.location}: ${first.errors.join('; ')}`);
+      }
+      websocketService.loadRecording(recording);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  };
+
+  const fileButton = (
+    <>
+      <input
+        ref={fileInput}
+        type="file"
+        accept={RECORDING_FILE_TYPES}
+        onChange={handleFile}
+        hidden
+      />
+      <button
+        className={recordingStatus ? 'recording-button' : 'recording-toggle'}
+        onClick={() => fileInput.current.click()}
+        title="Play a recorded session (NDJSON, CSV or GPX)"
+      >
+        📂 {recordingStatus ? 'Open…' : 'Recording'}
+      </button>
+    </>
+  );
+
+  if (!recordingStatus) {
+    return (
+      <>
+        {fileButton}
+        {error && (
+          <div className="recording-error" onClick={() => setError(null)}>{error}</div>
+        )}
+      </>
+    );
+  }
+
+  const { name, frameCount, position, recordedAt, playing, loop, speed, skipped } = recordingStatus;
+
+  return (
+    <div className="recording-controls">
+      <span className="recording-badge">RECORDING</span>
+      <span className="recording-name" title={skipped > 0 ? `${skipped} invalid entries skipped` : name}>
+        {name}{skipped > 0 ? ' ⚠' : ''}
+      </span>
+
+      <button
+        className="recording-button"
+        onClick={() => (playing ? websocketService.pauseRecording() : websocketService.playRecording())}
+        title={playing ? 'Pause' : 'Play'}
+      >
+        {playing ? '⏸' : '▶'}
+      </button>
+      <button className="recording-button" onClick={() => websocketService.stepRecording()} title="Next frame">
+        ⏭
+      </button>
+
+      <progress className="recording-progress" max={frameCount} value={position} />
+      <span className="recording-position">
+        {position}/{frameCount} · {formatTime(recordedAt)}
+      </span>
+
+      <label className="recording-loop">
+        <input
+          type="checkbox"
+          checked={loop}
+          onChange={(e) => websocketService.setRecordingLoop(e.target.checked)}
+        />
+        Loop
+      </label>
+
+      <div className="recording-speeds">
+        {PLAYBACK_SPEEDS.map(value => (
+          <button
+            key={value}
+            className={`recording-speed ${speed === value ? 'active' : ''}`}
+            onClick={() => websocketService.setRecordingSpeed(value)}
+          >
+            {value}×
+          </button>
+        ))}
+      </div>
+
+      {fileButton}
+      <button className="recording-button recording-exit" onClick={() => websocketService.closeRecording()}>
+        Live
+      </button>
+    </div>
+  );
+};
+
+export default RecordingControls;
@@ -2,7 +2,7 @@ import React from 'react';
 import { useDroneStore } from '../stores/droneStore';
 import './RedDroneCounter.css';
 
-const RedDroneCounter = () => {
+const RedDroneCounter = ({ onClick }) => {
   const { getRedDronesCount } = useDroneStore();
   const redDroneCount = getRedDronesCount();
 
@@ -11,7 +11,7 @@ const RedDroneCounter = () => {
   }
 
   return (
-    <div className="red-drone-counter">
+    <div className="red-drone-counter" onClick={onClick} title="Show alerts">
       <div className="counter-icon">
         <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
           <path 
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { useDroneStore } from '../stores/droneStore';
+import { websocketService, DATA_SOURCES } from '../services/websocketService';
+import './ReplayControls.css';
+
+const PLAYBACK_SPEEDS = [1, 4, 16];
+const PLAYBACK_TICK_MS = 100;
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+const ReplayControls = () => {
+  const {
+    replay,
+    getReplayRange,
+    startReplay,
+    stopReplay,
+    setReplayTime,
+    setReplayPlaying,
+    setReplaySpeed
+  } = useDroneStore();
+
+  const [loading, setLoading] = useState(false);
+
+  // Recomputed on every path update so the timeline grows with live data
+  const range = getReplayRange();
+
+  // Advance the replay clock while playing; pause at the end of the recording
+  useEffect(() => {
+    if (!replay.active || !replay.playing) return;
+
+    const interval = setInterval(() => {
+      const { replay: current, getReplayRange: currentRange } = useDroneStore.getState();
+      const end = currentRange()?.end ?? current.time;
+      const nextTime = current.time + PLAYBACK_TICK_MS * current.speed;
+
+      if (nextTime >= end) {
+        setReplayTime(end);
+        setReplayPlaying(false);
+      } else {
+        setReplayTime(nextTime);
+      }
+    }, PLAYBACK_TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [replay.active, replay.playing, setReplayTime, setReplayPlaying]);
+
+  if (!replay.active) {
+    // The server may have history even when nothing is on the map right now
+    const hasHistory = range || websocketService.getDataSource() === DATA_SOURCES.SOCKET;
+
+    const handleStart = async () => {
+      setLoading(true);
+      try {
+        startReplay(await websocketService.fetchReplayHistory());
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    return (
+      <button
+        className="replay-toggle"
+        onClick={handleStart}
+        disabled={!hasHistory || loading}
+        title="Review recorded flight paths"
+      >
+        {loading ? '⏳ Loading…' : '⏪ Replay'}
+      </button>
+    );
+  }
+
+  const handlePlayPause = () => {
+    // Restart from the beginning when play is pressed at the end
+    if (!replay.playing && range && replay.time >= range.end) {
+      setReplayTime(range.start);
+    }
+    setReplayPlaying(!replay.playing);
+  };
+
+  return (
+    <div className="replay-controls">
+      <span className="replay-badge">REPLAY</span>
+
+      <button className="replay-button" onClick={handlePlayPause} title={replay.playing ? 'Pause' : 'Play'}>
+        {replay.playing ? '⏸' : '▶'}
+      </button>
+
+      <input
+        className="replay-scrubber"
+        type="range"
+        min={range?.start ?? 0}
+        max={range?.end ?? 0}
+        step={100}
+        value={replay.time ?? 0}
+        onChange={(event) => setReplayTime(Number(event.target.value))}
+      />
+
+      <span className="replay-time">{replay.time ? formatClock(replay.time) : '--:--:--'}</span>
+
+      <div className="replay-speeds">
+        {PLAYBACK_SPEEDS.map(speed => (
+          <button
+            key={speed}
+            className={`replay-speed ${replay.speed === speed ? 'active' : ''}`}
+            onClick={() => setReplaySpeed(speed)}
+          >
+            {speed}×
+          </button>
+        ))}
+      </div>
+
+      <button className="replay-button replay-exit" onClick={stopReplay}>
+        Live
+      </button>
+    </div>
+  );
+};
+
+export default ReplayControls;
@@ -0,0 +1,45 @@
+import React from 'react';
+
+// Minimal SVG line chart for a series of numbers; null/undefined values are skipped
+const Sparkline = ({ label, values, unit = '', color = '#3B82F6', width = 260, height = 36, decimals = 0 }) => {
+  const points = values.filter(value => Number.isFinite(value));
+  const current = points[points.length - 1];
+
+  let path = null;
+  if (points.length > 1) {
+    const min = Math.min(...points);
+    const max = Math.max(...points);
+    const range = max - min || 1;
+    path = points
+      .map((value, index) => {
+        const x = (index / (points.length - 1)) * width;
+        const y = height - 2 - ((value - min) / range) * (height - 4);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(' ');
+  }
+
+  return (
+    <div className="sparkline">
+      <div className="sparkline-header">
+        <span className="sparkline-label">{label}</span>
+        <span className="sparkline-value">
+          {current !== undefined ? `${current.toFixed(decimals)}${unit}` : '—'}
+        </span>
+      </div>
+      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+        {path && (
+          <polyline points={path} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" />
+        )}
+      </svg>
+      {points.length > 1 && (
+        <div className="sparkline-range">
+          <span>min {Math.min(...points).toFixed(decimals)}{unit}</span>
+          <span>max {Math.max(...points).toFixed(decimals)}{unit}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Sparkline;
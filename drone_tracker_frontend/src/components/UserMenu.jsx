@@ -0,0 +1,19 @@
+import React from 'react';
+import { useAuthStore } from '../stores/authStore';
+import './UserMenu.css';
+
+// Signed-in user and role, left of the export toggle
+const UserMenu = ({ onLogout }) => {
+  const { user } = useAuthStore();
+  if (!user) return null;
+
+  return (
+    <div className="user-menu">
+      <span className="user-menu-name">{user.username}</span>
+      <span className={`user-menu-role ${user.role}`}>{user.role}</span>
+      <button onClick={onLogout} title="Sign out">Sign out</button>
+    </div>
+  );
+};
+
+export default UserMenu;
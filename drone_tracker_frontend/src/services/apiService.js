@@ -0,0 +1,62 @@
+// REST client for the drone server. The base URL comes from VITE_API_URL or is
+// derived from VITE_WEBSOCKET_URL (ws:// -> http://, wss:// -> https://).
+// Requests carry the session token set by the auth store.
+
+const DEFAULT_WEBSOCKET_URL = 'ws://localhost:9013';
+
+const getApiBaseUrl = () => {
+  if (import.meta.env.VITE_API_URL) {
+    return import.meta.env.VITE_API_URL.replace(/\/$/, '');
+  }
+  const socketUrl = import.meta.env.VITE_WEBSOCKET_URL || DEFAULT_WEBSOCKET_URL;
+  return socketUrl.replace(/^ws(s?):\/\//, 'http$1://').replace(/\/$/, '');
+};
+
+let authToken = null;
+
+const setAuthToken = (token) => {
+  authToken = token;
+};
+
+const request = async (path, params = {}, { method = 'GET', body } = {}) => {
+  const url = new URL(`${getApiBaseUrl()}/api/v1${path}`);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  const headers = {};
+  if (authToken) {
+    headers.Authorization = `Bearer ${authToken}`;
+  }
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Request to ${path} failed with ${response.status}`);
+  }
+  return response.json();
+};
+
+// Recorded tracks of every drone between `from` and `to` (epoch ms)
+export const fetchHistory = ({ from, to } = {}) => request('/history', { from, to });
+
+export const fetchDroneHistory = (serial, { from, to } = {}) =>
+  request(`/drones/${encodeURIComponent(serial)}/history`, { from, to });
+
+// { authRequired, user, permissions } for the current token
+export const fetchSession = () => request('/auth/session');
+
+// { token, expiresAt, user, permissions }; throws with the server's message
+export const login = (username, password) =>
+  request('/auth/login', {}, { method: 'POST', body: { username, password } });
+
+export { getApiBaseUrl, setAuthToken };
@@ -0,0 +1,101 @@
+import { ALERT_SEVERITY, SEVERITY_RANK } from '../utils/alertRules';
+
+// Sound and desktop notifications for new alerts. Sound is a short generated
+// tone (no audio assets); desktop notifications use the browser Notification API
+// and need the user's permission, asked for when they are enabled. Alerts raised
+// together are announced once, at their highest severity, and tones are
+// throttled so a burst of batches doesn't stack them.
+
+const TONES = {
+  [ALERT_SEVERITY.CRITICAL]: { frequency: 880, duration: 0.4 },
+  [ALERT_SEVERITY.WARNING]: { frequency: 660, duration: 0.2 }
+};
+
+// Minimum time between two tones; a critical tone may cut in after a warning
+const MIN_TONE_INTERVAL_MS = 2000;
+
+class NotificationService {
+  constructor() {
+    this.soundEnabled = true;
+    this.desktopEnabled = false;
+    this.minSeverity = ALERT_SEVERITY.WARNING;
+    this.audioContext = null;
+    this.lastTone = null; // { at, severity }
+  }
+
+  setSoundEnabled(enabled) {
+    this.soundEnabled = enabled;
+  }
+
+  // Resolves to whether desktop notifications are actually on
+  async setDesktopEnabled(enabled) {
+    if (!enabled || typeof Notification === 'undefined') {
+      this.desktopEnabled = false;
+      return false;
+    }
+
+    const permission = Notification.permission === 'default'
+      ? await Notification.requestPermission()
+      : Notification.permission;
+    this.desktopEnabled = permission === 'granted';
+    return this.desktopEnabled;
+  }
+
+  // Announces alerts raised together with one tone and one desktop notification
+  notifyBatch(alerts) {
+    const notable = alerts.filter(alert => SEVERITY_RANK[alert.severity] >= SEVERITY_RANK[this.minSeverity]);
+    if (notable.length === 0) return;
+
+    const top = notable.reduce((highest, alert) =>
+      SEVERITY_RANK[alert.severity] > SEVERITY_RANK[highest.severity] ? alert : highest
+    );
+
+    if (this.soundEnabled) {
+      this.playTone(top.severity);
+    }
+    if (this.desktopEnabled && document.hidden) {
+      if (notable.length === 1) {
+        new Notification(top.ruleName, { body: top.message, tag: `${top.ruleId}:${top.droneId}` });
+      } else {
+        new Notification(`${notable.length} new alerts`, {
+          body: `${top.ruleName}: ${top.message} and ${notable.length - 1} more`,
+          tag: 'alert-batch'
+        });
+      }
+    }
+  }
+
+  playTone(severity) {
+    const tone = TONES[severity];
+    if (!tone) return;
+
+    const now = Date.now();
+    const last = this.lastTone;
+    if (last && now - last.at < MIN_TONE_INTERVAL_MS && SEVERITY_RANK[severity] <= SEVERITY_RANK[last.severity]) {
+      return;
+    }
+    this.lastTone = { at: now, severity };
+
+    try {
+      this.audioContext = this.audioContext || new AudioContext();
+      const oscillator = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      const start = this.audioContext.currentTime;
+
+      oscillator.frequency.value = tone.frequency;
+      gain.gain.setValueAtTime(0.15, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + tone.duration);
+      oscillator.connect(gain).connect(this.audioContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + tone.duration);
+    } catch (error) {
+      // Browsers block audio until the page has been interacted with
+      console.warn('Alert sound unavailable:', error.message);
+    }
+  }
+}
+
+// Singleton pattern
+const notificationService = new NotificationService();
+export { notificationService };
+export default notificationService;
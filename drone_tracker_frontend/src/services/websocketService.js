@@ -1,11 +1,59 @@
-import { DroneDataObserver } from '../stores/droneStore';
+import { io } from 'socket.io-client';
+import { fetchHistory } from './apiService';
+
+// Available data sources: the real Socket.IO backend, the built-in mock
+// generator, or a recorded session loaded from a file
+export const DATA_SOURCES = {
+  SOCKET: 'socket',
+  SIMULATION: 'simulation',
+  RECORDING: 'recording'
+};
+
+// Connection lifecycle states reported to observers
+export const CONNECTION_STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed'
+};
+
+const DEFAULT_WEBSOCKET_URL = 'ws://localhost:9013';
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+const BACKFILL_WINDOW_MS = 5 * 60 * 1000;
+// Recorded tracks loaded from the server when replay starts
+const REPLAY_WINDOW_MS = 30 * 60 * 1000;
+// Mock drones take off at random and land when their battery runs low
+const MOCK_TAKEOFF_CHANCE = 0.02;
+const MOCK_LANDING_BATTERY = 5;
+// Recorded silences longer than this are shortened during playback
+const RECORDING_MAX_FRAME_GAP_MS = 5000;
+// Pause between the last frame and the first one when looping
+const RECORDING_LOOP_GAP_MS = 1000;
 
 class WebSocketService {
   constructor() {
     this.observers = [];
     this.isConnected = false;
+    this.url = import.meta.env.VITE_WEBSOCKET_URL || DEFAULT_WEBSOCKET_URL;
+    this.dataSource = import.meta.env.VITE_DATA_SOURCE === DATA_SOURCES.SIMULATION
+      ? DATA_SOURCES.SIMULATION
+      : DATA_SOURCES.SOCKET;
+    this.socket = null;
+    this.authToken = null;
+    this.connectionState = CONNECTION_STATES.DISCONNECTED;
+    this.lastError = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
     this.mockDataInterval = null;
     this.mockDrones = this.generateMockDrones();
+    this.recording = null; // { name, format, frames, skipped } from utils/recordingParsers.js
+    this.recordingSourceBefore = null; // source to return to when the recording is closed
+    this.playback = { index: 0, playing: false, loop: false, speed: 1, lastFrameTimestamp: null };
+    this.playbackTimer = null;
   }
 
   generateMockDrones() {
@@ -27,6 +75,8 @@ class WebSocketService {
       drones.push({
         id: `drone_${i}`,
         name: `${model} ${i}`,
+        // Registrations starting with "B" are authorized by the default rules
+        registration: `${Math.random() < 0.7 ? 'B' : 'S'}D-${i.toString().padStart(2, '0')}`,
         status: status,
         position: {
           lat: 37.7749 + (Math.random() - 0.5) * 0.08,
@@ -39,8 +89,6 @@ class WebSocketService {
                 status === 'Warning' ? Math.floor(Math.random() * 30) + 15 :
                 Math.floor(Math.random() * 70) + 30,
         signal: Math.floor(Math.random() * 40) + 60,
-        flightTime: status === 'Landed' ? '00:00' : 
-                   `${Math.floor(Math.random() * 2)}:${Math.floor(Math.random() * 60).toString().padStart(2, '0')}`,
         lastUpdate: new Date().toISOString()
       });
     }
@@ -60,24 +108,63 @@ class WebSocketService {
     this.observers.forEach(observer => observer.update(data));
   }
 
+  // Load recent tracks from the server so paths don't start blank after a reload
+  async backfillHistory() {
+    try {
+      const { tracks } = await fetchHistory({ from: Date.now() - BACKFILL_WINDOW_MS });
+      this.observers.forEach(observer => {
+        if (observer.backfillHistory) {
+          observer.backfillHistory(tracks);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to backfill drone history:', error.message);
+    }
+  }
+
+  // Tracks for incident replay, including drones that have since left the
+  // airspace. Only the server keeps history; other sources replay what the
+  // dashboard has seen.
+  async fetchReplayHistory() {
+    if (this.dataSource !== DATA_SOURCES.SOCKET) return [];
+    try {
+      const { tracks } = await fetchHistory({ from: Date.now() - REPLAY_WINDOW_MS });
+      return tracks;
+    } catch (error) {
+      console.error('Failed to load replay history:', error.message);
+      return [];
+    }
+  }
+
   updateMockDronePositions() {
     this.mockDrones = this.mockDrones.map(drone => {
-      // Don't update landed drones
+      // Landed drones occasionally take off again (and recharge on the ground)
       if (drone.status === 'Landed') {
+        if (Math.random() < MOCK_TAKEOFF_CHANCE) {
+          return {
+            ...drone,
+            status: 'Active',
+            position: { ...drone.position, altitude: 20 },
+            speed: 5,
+            battery: 100,
+            lastUpdate: new Date().toISOString()
+          };
+        }
         return {
           ...drone,
           lastUpdate: new Date().toISOString()
         };
       }
-      
-      // Update flight time for active drones
-      let newFlightTime = drone.flightTime;
-      if (drone.status === 'Active' && Math.random() < 0.3) {
-        const [minutes, seconds] = drone.flightTime.split(':').map(Number);
-        const totalSeconds = minutes * 60 + seconds + 1;
-        const newMinutes = Math.floor(totalSeconds / 60);
-        const newSecondsOnly = totalSeconds % 60;
-        newFlightTime = `${newMinutes}:${newSecondsOnly.toString().padStart(2, '0')}`;
+
+      // Drones running out of battery land
+      if (drone.battery < MOCK_LANDING_BATTERY) {
+        return {
+          ...drone,
+          status: 'Landed',
+          position: { ...drone.position, altitude: 0 },
+          speed: 0,
+          lastUpdate: new Date().toISOString()
+        };
       }
       
       return {
@@ -96,7 +183,6 @@ class WebSocketService {
           Math.max(0, drone.speed + (Math.random() - 0.5) * 2),
         battery: Math.max(0, Math.min(100, drone.battery - Math.random() * 0.5)),
         signal: Math.max(30, Math.min(100, drone.signal + (Math.random() - 0.5) * 3)),
-        flightTime: newFlightTime,
         lastUpdate: new Date().toISOString()
       };
     });
@@ -105,8 +191,115 @@ class WebSocketService {
   }
 
   connect() {
+    // Cancel any pending retry; connecting now supersedes it
+    this.clearReconnectTimer();
+
+    if (this.dataSource === DATA_SOURCES.SIMULATION) {
+      this.startSimulation();
+    } else if (this.dataSource === DATA_SOURCES.RECORDING) {
+      this.startRecording();
+    } else {
+      this.connectSocket();
+    }
+  }
+
+  // Subscribe to the backend's `message` events (one FeatureCollection per tick)
+  connectSocket() {
+    this.setConnectionState(
+      this.reconnectAttempts > 0 ? CONNECTION_STATES.RECONNECTING : CONNECTION_STATES.CONNECTING
+    );
+
+    // Reuse the existing socket when retrying after a failure
+    if (this.socket) {
+      this.socket.connect();
+      return;
+    }
+
+    console.log(`Connecting to drone server at ${this.url}...`);
+
+    // The backend only accepts the polling transport. Socket.IO's own reconnection
+    // is disabled so retries go through our backoff and state machine. The
+    // session token is read on every attempt.
+    this.socket = io(this.url, {
+      transports: ['polling'],
+      reconnection: false,
+      auth: (callback) => callback({ token: this.authToken })
+    });
+
+    this.socket.on('connect', () => {
+      this.reconnectAttempts = 0;
+      this.lastError = null;
+      this.setConnectionState(CONNECTION_STATES.CONNECTED);
+      this.backfillHistory();
+    });
+
+    this.socket.on('message', (data) => {
+      if (data && Array.isArray(data.features)) {
+        this.notifyObservers(data);
+      }
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      this.lastError = `Disconnected: ${reason}`;
+      this.scheduleReconnect();
+    });
+
+    this.socket.on('connect_error', (error) => {
+      console.error('Drone server connection error:', error.message);
+      this.lastError = error.message;
+
+      // Retrying won't help until the user signs in again
+      if (error.data?.code === 'unauthorized') {
+        this.clearReconnectTimer();
+        this.setConnectionState(CONNECTION_STATES.FAILED);
+        this.observers.forEach(observer => {
+          if (observer.authenticationFailed) {
+            observer.authenticationFailed(error.message);
+          }
+        });
+        return;
+      }
+      this.scheduleReconnect();
+    });
+  }
+
+  // Exponential backoff: 1s, 2s, 4s ... capped, until the attempt budget is spent
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      this.setConnectionState(CONNECTION_STATES.FAILED);
+      return;
+    }
+
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts,
+      RECONNECT_MAX_DELAY
+    );
+    this.reconnectAttempts += 1;
+    this.nextRetryAt = Date.now() + delay;
+    this.setConnectionState(CONNECTION_STATES.RECONNECTING);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextRetryAt = null;
+      this.connectSocket();
+    }, delay);
+  }
+
+  clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.nextRetryAt = null;
+  }
+
+  // Opt-in simulation source driven by the mock generator
+  startSimulation() {
+    if (this.mockDataInterval) return;
+
     console.log('Starting mock drone data service...');
-    this.isConnected = true;
     
     // Send initial data
     this.notifyObservers(this.mockDrones);
@@ -116,42 +309,277 @@ class WebSocketService {
       this.updateMockDronePositions();
     }, 2000);
     
-    this.notifyConnectionStatus(true);
+    this.setConnectionState(CONNECTION_STATES.CONNECTED);
+  }
+
+  // Recording source: plays the loaded frames through the same observers as
+  // live data, with the recorded spacing divided by the playback speed
+  startRecording() {
+    if (!this.recording) {
+      this.lastError = 'No recording loaded';
+      this.setConnectionState(CONNECTION_STATES.FAILED);
+      return;
+    }
+
+    this.lastError = null;
+    this.setConnectionState(CONNECTION_STATES.CONNECTED);
+    this.scheduleRecordingFrame();
+    this.notifyRecordingStatus();
+  }
+
+  // Replaces the loaded recording and switches to it, starting from the first frame
+  loadRecording(recording) {
+    if (!recording || recording.frames.length === 0) {
+      throw new Error('The recording has no frames');
+    }
+
+    this.stopPlaybackTimer();
+    this.recording = recording;
+    this.playback = { ...this.playback, index: 0, playing: true, lastFrameTimestamp: null };
+    this.notifyDronesReset();
+
+    if (this.dataSource === DATA_SOURCES.RECORDING) {
+      this.startRecording();
+    } else {
+      this.recordingSourceBefore = this.dataSource;
+      this.setDataSource(DATA_SOURCES.RECORDING);
+    }
+  }
+
+  // Unloads the recording and goes back to the previous source
+  closeRecording() {
+    if (!this.recording) return;
+
+    this.recording = null;
+    this.playback = { ...this.playback, index: 0, playing: false, lastFrameTimestamp: null };
+    this.notifyDronesReset();
+    this.setDataSource(this.recordingSourceBefore || DATA_SOURCES.SOCKET);
+    this.recordingSourceBefore = null;
+    this.notifyRecordingStatus();
+  }
+
+  // Playback controls act only while the recording is the running source
+  isRecordingActive() {
+    return Boolean(this.recording) && this.dataSource === DATA_SOURCES.RECORDING && this.isConnected;
+  }
+
+  playRecording() {
+    if (!this.isRecordingActive() || this.playback.playing) return;
+
+    // Start over when play is pressed at the end
+    if (this.playback.index >= this.recording.frames.length) {
+      this.playback.index = 0;
+      this.playback.lastFrameTimestamp = null;
+      this.notifyDronesReset();
+    }
+    this.playback.playing = true;
+    this.scheduleRecordingFrame();
+    this.notifyRecordingStatus();
+  }
+
+  pauseRecording() {
+    if (!this.isRecordingActive()) return;
+
+    this.stopPlaybackTimer();
+    this.playback.playing = false;
+    this.notifyRecordingStatus();
+  }
+
+  // Pauses and sends exactly the next frame
+  stepRecording() {
+    if (!this.isRecordingActive()) return;
+
+    this.stopPlaybackTimer();
+    this.playback.playing = false;
+    if (this.playback.index >= this.recording.frames.length) {
+      if (!this.playback.loop) {
+        this.notifyRecordingStatus();
+        return;
+      }
+      this.rewindRecording();
+    }
+    this.emitRecordingFrame();
+    this.notifyRecordingStatus();
+  }
+
+  setRecordingLoop(loop) {
+    this.playback.loop = loop;
+    this.notifyRecordingStatus();
   }
 
+  setRecordingSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Playback speed must be positive, got ${speed}`);
+    }
+    this.playback.speed = speed;
+    // Re-time the pending frame at the new speed
+    if (this.isRecordingActive()) {
+      this.scheduleRecordingFrame();
+    }
+    this.notifyRecordingStatus();
+  }
 
+  rewindRecording() {
+    this.playback.index = 0;
+    this.playback.lastFrameTimestamp = null;
+    this.notifyDronesReset();
+  }
 
+  emitRecordingFrame() {
+    const frame = this.recording.frames[this.playback.index];
+    this.playback.index += 1;
+    this.playback.lastFrameTimestamp = frame.timestamp;
+    this.notifyObservers(frame.data);
+  }
 
+  scheduleRecordingFrame() {
+    this.stopPlaybackTimer();
+    if (!this.playback.playing) return;
 
-  notifyConnectionStatus(isConnected) {
+    const { frames } = this.recording;
+    let delay;
+    if (this.playback.index >= frames.length) {
+      if (!this.playback.loop) {
+        this.playback.playing = false;
+        this.notifyRecordingStatus();
+        return;
+      }
+      delay = RECORDING_LOOP_GAP_MS;
+    } else {
+      const { lastFrameTimestamp } = this.playback;
+      const gap = lastFrameTimestamp === null ? 0 : frames[this.playback.index].timestamp - lastFrameTimestamp;
+      delay = Math.min(Math.max(gap, 0), RECORDING_MAX_FRAME_GAP_MS) / this.playback.speed;
+    }
+
+    this.playbackTimer = setTimeout(() => {
+      this.playbackTimer = null;
+      if (this.playback.index >= frames.length) {
+        this.rewindRecording();
+      }
+      this.emitRecordingFrame();
+      this.notifyRecordingStatus();
+      this.scheduleRecordingFrame();
+    }, delay);
+  }
+
+  stopPlaybackTimer() {
+    if (this.playbackTimer) {
+      clearTimeout(this.playbackTimer);
+      this.playbackTimer = null;
+    }
+  }
+
+  getRecordingStatus() {
+    if (!this.recording) return null;
+
+    const { frames } = this.recording;
+    return {
+      name: this.recording.name,
+      format: this.recording.format,
+      skipped: this.recording.skipped.length,
+      frameCount: frames.length,
+      position: this.playback.index, // frames sent so far
+      recordedAt: this.playback.lastFrameTimestamp,
+      start: frames[0].timestamp,
+      end: frames[frames.length - 1].timestamp,
+      playing: this.playback.playing,
+      loop: this.playback.loop,
+      speed: this.playback.speed
+    };
+  }
+
+  notifyRecordingStatus() {
+    const status = this.getRecordingStatus();
+    this.observers.forEach(observer => {
+      if (observer.updateRecordingStatus) {
+        observer.updateRecordingStatus(status);
+      }
+    });
+  }
+
+  // The feed starts over (new recording, loop, back to live): drop what was shown
+  notifyDronesReset() {
+    this.observers.forEach(observer => {
+      if (observer.resetDrones) {
+        observer.resetDrones();
+      }
+    });
+  }
+
+  // Switch between the live backend, the simulation and a recording; reconnects if already running
+  setDataSource(source) {
+    if (!Object.values(DATA_SOURCES).includes(source)) {
+      throw new Error(`Unknown data source: ${source}`);
+    }
+    if (source === this.dataSource) return;
+
+    const wasRunning = this.connectionState !== CONNECTION_STATES.DISCONNECTED;
+    this.disconnect();
+    this.dataSource = source;
+    if (wasRunning) {
+      this.connect();
+    }
+  }
+
+  getDataSource() {
+    return this.dataSource;
+  }
+
+  // Session token sent in the Socket.IO handshake (null when signed out)
+  setAuthToken(token) {
+    this.authToken = token;
+  }
+
+  setConnectionState(state) {
+    this.connectionState = state;
+    this.isConnected = state === CONNECTION_STATES.CONNECTED;
+    this.notifyConnectionStatus();
+  }
+
+  notifyConnectionStatus() {
+    const status = this.getConnectionStatus();
     this.observers.forEach(observer => {
       if (observer.updateConnectionStatus) {
-        observer.updateConnectionStatus(isConnected);
+        observer.updateConnectionStatus(status);
       }
     });
   }
 
   disconnect() {
+    this.clearReconnectTimer();
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.disconnect();
+      this.socket = null;
+    }
     if (this.mockDataInterval) {
       clearInterval(this.mockDataInterval);
       this.mockDataInterval = null;
     }
-    this.isConnected = false;
-    this.notifyConnectionStatus(false);
+    this.stopPlaybackTimer();
+    this.setConnectionState(CONNECTION_STATES.DISCONNECTED);
   }
 
   getConnectionStatus() {
-    return this.isConnected;
+    return {
+      status: this.connectionState,
+      isConnected: this.isConnected,
+      lastError: this.lastError,
+      reconnectAttempts: this.reconnectAttempts,
+      nextRetryAt: this.nextRetryAt
+    };
   }
 
-  // Method to manually trigger reconnection
+  // Method to manually trigger reconnection (resets the backoff)
   forceReconnect() {
     this.disconnect();
-    setTimeout(() => this.connect(), 1000);
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    this.connect();
   }
 }
 
 // Singleton pattern
 const websocketService = new WebSocketService();
 export { websocketService };
-export default websocketService;
\ No newline at end of file
+export default websocketService;
@@ -0,0 +1,147 @@
+import { create } from 'zustand';
+import { DEFAULT_ALERT_RULES } from '../utils/alertRules';
+import { notificationService } from '../services/notificationService';
+
+// Alerts raised by the rules in utils/alertRules.js. Alerts stay in the history
+// until it is full, then the oldest are dropped and counted; dismissing only
+// hides an alert from the active list.
+
+export const MAX_ALERTS = 500;
+
+let nextAlertId = 1;
+
+const resolve = (value, subject) => (typeof value === 'function' ? value(subject) : value);
+
+const createAlert = (rule, droneId, subject) => ({
+  id: nextAlertId++,
+  ruleId: rule.id,
+  ruleName: rule.name,
+  severity: resolve(rule.severity, subject),
+  droneId,
+  message: rule.message(subject),
+  timestamp: Date.now(),
+  acknowledgedAt: null,
+  dismissed: false
+});
+
+const useAlertStore = create((set, get) => ({
+  // State
+  rules: DEFAULT_ALERT_RULES,
+  alerts: [], // newest first
+  activeConditions: new Set(), // "ruleId:droneId" for condition rules currently true
+  droppedCount: 0, // alerts pushed out of the full history since it was last cleared
+  soundEnabled: notificationService.soundEnabled,
+  desktopEnabled: notificationService.desktopEnabled,
+
+  // Actions
+
+  // `drones` are the drones that just reported, `events` the drone events
+  // raised alongside; returns the new alerts
+  evaluate: (drones, events = []) => {
+    const { rules, activeConditions } = get();
+    const newAlerts = [];
+    let newConditions = null;
+
+    const conditionRules = rules.filter(rule => rule.condition);
+    drones.forEach(drone => {
+      conditionRules.forEach(rule => {
+        const key = `${rule.id}:${drone.id}`;
+        const active = Boolean(rule.condition(drone));
+        if (active === activeConditions.has(key)) return;
+
+        newConditions = newConditions || new Set(activeConditions);
+        if (active) {
+          newConditions.add(key);
+          newAlerts.push(createAlert(rule, drone.id, drone));
+        } else {
+          newConditions.delete(key);
+        }
+      });
+    });
+
+    const eventRules = rules.filter(rule => rule.event);
+    events.forEach(event => {
+      // Forget conditions of drones that left the store, so they alert again if they return
+      if (event.type === 'contact' && event.to === 'expired') {
+        newConditions = newConditions || new Set(activeConditions);
+        conditionRules.forEach(rule => newConditions.delete(`${rule.id}:${event.droneId}`));
+      }
+
+      eventRules.forEach(rule => {
+        if (rule.event(event)) {
+          newAlerts.push(createAlert(rule, event.droneId, event));
+        }
+      });
+    });
+
+    if (newAlerts.length === 0 && !newConditions) return [];
+
+    const alerts = [...[...newAlerts].reverse(), ...get().alerts];
+    set({
+      ...(newConditions && { activeConditions: newConditions }),
+      ...(newAlerts.length > 0 && {
+        alerts: alerts.slice(0, MAX_ALERTS),
+        droppedCount: get().droppedCount + Math.max(0, alerts.length - MAX_ALERTS)
+      })
+    });
+    // One notification for the whole batch, so a large fleet can't flood it
+    notificationService.notifyBatch(newAlerts);
+    return newAlerts;
+  },
+
+  acknowledgeAlert: (alertId) => {
+    set({
+      alerts: get().alerts.map(alert =>
+        alert.id === alertId && !alert.acknowledgedAt ? { ...alert, acknowledgedAt: Date.now() } : alert
+      )
+    });
+  },
+
+  acknowledgeAll: () => {
+    const now = Date.now();
+    set({
+      alerts: get().alerts.map(alert =>
+        alert.acknowledgedAt || alert.dismissed ? alert : { ...alert, acknowledgedAt: now }
+      )
+    });
+  },
+
+  dismissAlert: (alertId) => {
+    set({
+      alerts: get().alerts.map(alert => alert.id === alertId ? { ...alert, dismissed: true } : alert)
+    });
+  },
+
+  clearHistory: () => {
+    set({ alerts: [], droppedCount: 0 });
+  },
+
+  setSoundEnabled: (enabled) => {
+    notificationService.setSoundEnabled(enabled);
+    set({ soundEnabled: enabled });
+  },
+
+  setDesktopEnabled: async (enabled) => {
+    const granted = await notificationService.setDesktopEnabled(enabled);
+    set({ desktopEnabled: granted });
+  },
+
+  // Getters
+  getActiveAlerts: () => get().alerts.filter(alert => !alert.dismissed),
+
+  getUnacknowledgedCount: () =>
+    get().alerts.filter(alert => !alert.dismissed && !alert.acknowledgedAt).length,
+
+  // Full history matching a free-text query and, optionally, a severity
+  searchAlerts: (query = '', severity = null) => {
+    const needle = query.trim().toLowerCase();
+    return get().alerts.filter(alert =>
+      (!severity || alert.severity === severity) &&
+      (!needle || [alert.message, alert.droneId, alert.ruleName]
+        .some(text => String(text).toLowerCase().includes(needle)))
+    );
+  }
+}));
+
+export { useAlertStore };
+export default useAlertStore;
@@ -0,0 +1,104 @@
+import { create } from 'zustand';
+import { fetchSession, login as requestLogin, setAuthToken } from '../services/apiService';
+import { websocketService } from '../services/websocketService';
+
+// Session with the drone server. The server decides whether a login is
+// required and which permissions the user's role grants:
+//   viewPilotDetails, acknowledgeAlerts (operator and admin)
+// When the server has no accounts configured, or can't be reached, the
+// dashboard runs without a login and every action is allowed.
+
+export const AUTH_STATUS = {
+  CHECKING: 'checking',
+  ANONYMOUS: 'anonymous', // no login required
+  SIGNED_IN: 'signedIn',
+  SIGNED_OUT: 'signedOut'
+};
+
+const TOKEN_STORAGE_KEY = 'droneTracker.sessionToken';
+
+const storeToken = (token) => {
+  setAuthToken(token);
+  websocketService.setAuthToken(token);
+  try {
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  } catch {
+    // Storage can be unavailable (private mode); the session just won't survive a reload
+  }
+};
+
+const readStoredToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const useAuthStore = create((set, get) => ({
+  // State
+  status: AUTH_STATUS.CHECKING,
+  authRequired: false,
+  user: null, // { username, role }
+  permissions: [],
+  error: null,
+
+  // Actions
+  // Picks up a token saved by a previous visit and asks the server what it's worth
+  restoreSession: async () => {
+    storeToken(readStoredToken());
+
+    try {
+      const session = await fetchSession();
+      if (!session.authRequired) {
+        set({ status: AUTH_STATUS.ANONYMOUS, authRequired: false, user: null, permissions: session.permissions, error: null });
+      } else if (session.user) {
+        set({ status: AUTH_STATUS.SIGNED_IN, authRequired: true, user: session.user, permissions: session.permissions, error: null });
+      } else {
+        storeToken(null);
+        set({ status: AUTH_STATUS.SIGNED_OUT, authRequired: true, user: null, permissions: [] });
+      }
+    } catch (error) {
+      // Older servers and the simulation source have no auth endpoints
+      console.warn('Could not check the session, continuing without login:', error.message);
+      set({ status: AUTH_STATUS.ANONYMOUS, authRequired: false, user: null, permissions: [] });
+    }
+  },
+
+  login: async (username, password) => {
+    set({ error: null });
+    try {
+      const session = await requestLogin(username, password);
+      storeToken(session.token);
+      set({ status: AUTH_STATUS.SIGNED_IN, authRequired: true, user: session.user, permissions: session.permissions });
+      return true;
+    } catch (error) {
+      set({ error: error.message });
+      return false;
+    }
+  },
+
+  logout: () => {
+    storeToken(null);
+    set({ status: AUTH_STATUS.SIGNED_OUT, user: null, permissions: [], error: null });
+  },
+
+  // The server refused the token: expired, the account was removed, or the
+  // server started requiring a login after the dashboard loaded
+  expireSession: (message = 'Your session has expired, please sign in again') => {
+    storeToken(null);
+    set({ status: AUTH_STATUS.SIGNED_OUT, authRequired: true, user: null, permissions: [], error: message });
+  },
+
+  // Getters
+  can: (permission) => {
+    const { status, permissions } = get();
+    return status === AUTH_STATUS.ANONYMOUS || permissions.includes(permission);
+  }
+}));
+
+export { useAuthStore };
@@ -1,15 +1,141 @@
 import { create } from 'zustand';
+import { authorizationEngine, AUTHORIZATION } from '../../../shared/authorizationRules.js';
+import { useZoneStore } from './zoneStore';
+import { useAlertStore } from './alertStore';
+import { useAuthStore } from './authStore';
+import { advanceFlightSession } from '../utils/flightSessions';
+import { parseTelemetryBatch } from '../../../shared/telemetry.js';
+import { formatDuration } from '../utils/formatters';
+import { DEFAULT_DRONE_FILTER, DEFAULT_DRONE_SORT, matchesDroneFilter, sortDrones } from '../utils/droneFilters';
+
+// Flight path points kept per drone (5 minutes at one update per second)
+const MAX_PATH_POINTS = 300;
+
+// Contact states: live -> stale -> lost -> expired (removed from the store)
+const CONTACT_STATES = {
+  LIVE: 'live',
+  STALE: 'stale',
+  LOST: 'lost'
+};
+
+const DEFAULT_CONTACT_THRESHOLDS = {
+  staleAfterMs: Number(import.meta.env.VITE_STALE_AFTER_MS) || 5000,
+  lostAfterMs: Number(import.meta.env.VITE_LOST_AFTER_MS) || 15000,
+  expireAfterMs: Number(import.meta.env.VITE_EXPIRE_AFTER_MS) || 120000
+};
+
+// Most recent drone events kept for the UI
+const MAX_DRONE_EVENTS = 200;
+// Most recent rejected telemetry messages kept for diagnostics
+const MAX_TELEMETRY_REJECTIONS = 50;
+
+let nextEventId = 1;
+
+const createDroneEvent = (type, droneId, details) => ({
+  id: nextEventId++,
+  type,
+  droneId,
+  timestamp: Date.now(),
+  ...details
+});
+
+// Fleet statistics samples kept for the dashboard (one hour at one sample per 5 s)
+const MAX_STATISTICS_SAMPLES = 720;
+// Altitude distribution bucket size in meters
+const ALTITUDE_BUCKET_METERS = 20;
+
+const countBy = (items, getKey) => items.reduce((counts, item) => {
+  const key = getKey(item) || 'Unknown';
+  counts[key] = (counts[key] || 0) + 1;
+  return counts;
+}, {});
+
+// [{ from, to, count }] in ascending order, empty buckets included
+const getAltitudeDistribution = (altitudes) => {
+  const counts = [];
+  altitudes.forEach(altitude => {
+    const bucket = Math.floor(Math.max(0, altitude || 0) / ALTITUDE_BUCKET_METERS);
+    counts[bucket] = (counts[bucket] || 0) + 1;
+  });
+  return Array.from(counts, (count, bucket) => ({
+    from: bucket * ALTITUDE_BUCKET_METERS,
+    to: (bucket + 1) * ALTITUDE_BUCKET_METERS,
+    count: count || 0
+  }));
+};
+
+// During replay a drone counts as present if it reported within this window
+const REPLAY_PRESENCE_MS = 5000;
+
+// Live paths with the recorded tracks captured when replay started
+// (serial -> { registration, points }) prepended, so drones that expired or
+// left before the dashboard loaded can be replayed too
+const mergeReplayPaths = (dronePaths, replayHistory) => {
+  const paths = new Map(dronePaths);
+  replayHistory.forEach(({ points }, serial) => {
+    const livePath = paths.get(serial) || [];
+    const firstLiveTimestamp = livePath.length > 0 ? livePath[0].timestamp : Infinity;
+    const olderPoints = points.filter(point => point.timestamp < firstLiveTimestamp);
+    if (olderPoints.length > 0) {
+      paths.set(serial, [...olderPoints, ...livePath]);
+    }
+  });
+  return paths;
+};
+
+// Earliest and latest timestamps of a set of paths, or null when they are empty
+const pathsTimeRange = (paths) => {
+  let start = Infinity;
+  let end = -Infinity;
+  paths.forEach(path => {
+    if (path.length === 0) return;
+    start = Math.min(start, path[0].timestamp);
+    end = Math.max(end, path[path.length - 1].timestamp);
+  });
+  return start <= end ? { start, end } : null;
+};
+
+// mergeReplayPaths for the latest inputs; the map asks for it on every render
+let replayPathsCache = { dronePaths: null, replayHistory: null, paths: null };
+
+// Index of the last path point at or before `time` (paths are sorted by timestamp)
+const findPathIndexAt = (path, time) => {
+  let low = 0;
+  let high = path.length - 1;
+  let result = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (path[mid].timestamp <= time) {
+      result = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return result;
+};
 
 // Strategy Pattern for drone color classification
 class DroneColorStrategy {
-  static getColor(registration) {
-    if (!registration || typeof registration !== 'string') {
-      return 'red'; // Default color for undefined or invalid registration
+  static getColor(authorization) {
+    switch (authorization) {
+      case AUTHORIZATION.AUTHORIZED:
+        return 'green';
+      case AUTHORIZATION.UNAUTHORIZED:
+        return 'red';
+      default:
+        return 'gray'; // Unknown: no rule matched
     }
-    return registration.startsWith('B') ? 'green' : 'red';
   }
 }
 
+// The server's classification wins when it sent one: it evaluates the rules
+// before removing pilot details from what viewers receive
+const classifyDrone = (drone) => {
+  const authorization = drone.serverAuthorization ?? authorizationEngine.classify(drone);
+  return { authorization, color: DroneColorStrategy.getColor(authorization) };
+};
+
 // Observer Pattern for WebSocket data handling
 class DroneDataObserver {
   constructor(store) {
@@ -19,6 +145,26 @@ class DroneDataObserver {
   update(data) {
     this.store.getState().updateDrones(data);
   }
+
+  updateConnectionStatus(status) {
+    this.store.getState().setConnectionStatus(status);
+  }
+
+  backfillHistory(tracks) {
+    this.store.getState().backfillPaths(tracks);
+  }
+
+  authenticationFailed(message) {
+    useAuthStore.getState().expireSession(message);
+  }
+
+  updateRecordingStatus(status) {
+    this.store.getState().setRecordingStatus(status);
+  }
+
+  resetDrones() {
+    this.store.getState().clearDrones();
+  }
 }
 
 const useDroneStore = create((set, get) => ({
@@ -26,71 +172,333 @@ const useDroneStore = create((set, get) => ({
   drones: new Map(), // Using Map for better performance with large datasets
   dronePaths: new Map(), // Store flight paths for each drone
   selectedDroneId: null,
+  trailMode: 'all', // all | selected | none
+  droneFilter: DEFAULT_DRONE_FILTER,
+  droneSort: DEFAULT_DRONE_SORT,
+  filterMap: false, // also hide drones that do not match the filter on the map
   isConnected: false,
+  connectionStatus: 'disconnected', // disconnected | connecting | connected | reconnecting | failed
+  connectionError: null,
+  reconnectAttempts: 0,
+  nextRetryAt: null,
+  recordingStatus: null, // playback of a loaded recording, see WebSocketService#getRecordingStatus
+  contactClockPausedAt: null, // while a recording is paused: when it was, contacts don't age meanwhile
   lastUpdate: null,
+  contactThresholds: DEFAULT_CONTACT_THRESHOLDS,
+  droneEvents: [], // newest first: contact changes and other per-drone transitions
+  telemetryStats: {
+    rejected: 0,
+    recentRejections: [] // newest first: { index, serial, errors, timestamp }
+  },
+  statisticsHistory: [], // oldest first: { timestamp, total, unauthorized, authorized, unknown, averageAltitude }
+  replay: {
+    active: false,
+    time: null, // epoch ms being shown
+    playing: false,
+    speed: 1,
+    history: null // serial -> { registration, points } captured by startReplay
+  },
   
   // Actions
   updateDrones: (data) => {
     const currentTime = Date.now();
     const newDrones = new Map(get().drones);
     const newPaths = new Map(get().dronePaths);
+    const events = [];
+    const updatedDrones = [];
     
-    // Handle both array format (mock data) and featureCollection format
-    const drones = Array.isArray(data) ? data : data.features || [];
+    // Validate and normalize against the shared telemetry schema (GeoJSON
+    // features from the server, flat objects from the mock generator)
+    let accepted = [];
+    let rejected = [];
+    try {
+      ({ accepted, rejected } = parseTelemetryBatch(data));
+    } catch (error) {
+      rejected = [{ index: null, serial: null, errors: [error.message] }];
+    }
+    if (rejected.length > 0) {
+      get().recordRejectedTelemetry(rejected);
+    }
     
-    drones.forEach(drone => {
-      // Handle both mock drone format and GeoJSON feature format
-      const droneId = drone.id || drone.properties?.serial;
-      const position = drone.position || {
-        lat: drone.geometry?.coordinates[1],
-        lng: drone.geometry?.coordinates[0],
-        altitude: drone.geometry?.coordinates[2] || drone.properties?.altitude
+    accepted.forEach(record => {
+      const droneId = record.serial;
+      const position = {
+        lat: record.latitude,
+        lng: record.longitude,
+        altitude: record.altitude
       };
       
       // Update drone data
       const existingDrone = newDrones.get(droneId);
-      const droneData = {
+      const identity = {
         id: droneId,
-        name: drone.name || drone.properties?.name || `Drone ${droneId}`,
-        status: drone.status || drone.properties?.status || 'FLYING',
-        color: drone.color || DroneColorStrategy.getColor(drone.registration || drone.properties?.registration),
+        registration: record.registration,
+        pilot: record.pilot,
+        organization: record.organization,
+        serverAuthorization: record.authorization // null for sources that don't classify
+      };
+      const droneData = {
+        ...identity,
+        ...classifyDrone(identity),
+        name: record.name ?? `Drone ${droneId}`,
+        status: record.status ?? 'FLYING',
         position: position,
         latitude: position.lat,
         longitude: position.lng,
-        altitude: position.altitude || 0,
-        yaw: drone.yaw || drone.properties?.yaw || 0,
-        speed: drone.speed || drone.properties?.speed || 0,
-        battery: drone.battery || drone.properties?.battery || 100,
-        signal: drone.signal || drone.properties?.signal || 100,
+        altitude: record.altitude,
+        yaw: record.yaw,
+        speed: record.speed,
+        battery: record.battery, // null when the source doesn't report it
+        signal: record.signal,
         lastSeen: currentTime,
+        contactState: CONTACT_STATES.LIVE,
         firstSeen: existingDrone?.firstSeen || currentTime,
-        flightTime: existingDrone ? currentTime - existingDrone.firstSeen : 0,
-        lastUpdate: drone.lastUpdate || new Date().toISOString()
+        lastUpdate: new Date(record.timestamp ?? currentTime).toISOString()
       };
+
+      // Flight session: airborne, takeoffAt, landedAt, flightTime (current or
+      // last session), totalFlightTime and sessionCount
+      const { transition: flightTransition, ...flightSession } =
+        advanceFlightSession(existingDrone, droneData, currentTime, get().contactThresholds.lostAfterMs);
+      Object.assign(droneData, flightSession);
       
       newDrones.set(droneId, droneData);
+
+      if (flightTransition) {
+        events.push(createDroneEvent('flight', droneId, {
+          to: flightTransition,
+          message: flightTransition === 'takeoff'
+            ? `${droneId} took off`
+            : `${droneId} landed after ${formatDuration(droneData.flightTime)}`
+        }));
+      }
+      updatedDrones.push(droneData);
+
+      if (existingDrone && existingDrone.contactState !== CONTACT_STATES.LIVE) {
+        events.push(createDroneEvent('contact', droneId, {
+          from: existingDrone.contactState,
+          to: CONTACT_STATES.LIVE,
+          message: `${droneId} contact regained`
+        }));
+      }
       
       // Update flight path
       const existingPath = newPaths.get(droneId) || [];
       existingPath.push({
         coordinates: [position.lng, position.lat, position.altitude],
-        timestamp: currentTime
+        timestamp: currentTime,
+        yaw: droneData.yaw,
+        speed: droneData.speed,
+        battery: droneData.battery
       });
       
-      // Keep only last 100 points for performance
-      if (existingPath.length > 100) {
+      // Keep only the most recent points for performance
+      if (existingPath.length > MAX_PATH_POINTS) {
         existingPath.shift();
       }
       
       newPaths.set(droneId, existingPath);
     });
+
+    // Geofence entries, exits and approaches
+    useZoneStore.getState().evaluateDrones(updatedDrones).forEach(({ droneId, zone, transition }) => {
+      events.push(createDroneEvent('geofence', droneId, {
+        zoneId: zone.id,
+        zoneName: zone.name,
+        zoneType: zone.type,
+        to: transition,
+        message: transition === 'enter'
+          ? `${droneId} entered ${zone.name}`
+          : transition === 'near'
+            ? `${droneId} approaching ${zone.name}`
+            : `${droneId} left ${zone.name}`
+      }));
+    });
+
+    useAlertStore.getState().evaluate(updatedDrones, events);
     
     set({ 
       drones: newDrones, 
       dronePaths: newPaths,
-      lastUpdate: currentTime 
+      lastUpdate: currentTime,
+      ...(events.length > 0 && { droneEvents: [...events, ...get().droneEvents].slice(0, MAX_DRONE_EVENTS) })
     });
   },
+
+  // Count messages that failed validation and keep their diagnostics
+  recordRejectedTelemetry: (rejected) => {
+    const { telemetryStats } = get();
+    const timestamp = Date.now();
+    const first = rejected[0];
+    console.warn(
+      `Rejected ${rejected.length} telemetry message(s): ` +
+      `#${first.index ?? '-'}${first.serial ? ` (${first.serial})` : ''} ${first.errors.join('; ')}`
+    );
+
+    set({
+      telemetryStats: {
+        rejected: telemetryStats.rejected + rejected.length,
+        recentRejections: [
+          ...rejected.map(rejection => ({ ...rejection, timestamp })),
+          ...telemetryStats.recentRejections
+        ].slice(0, MAX_TELEMETRY_REJECTIONS)
+      }
+    });
+  },
+
+  // Move silent drones through stale -> lost -> expired; call periodically.
+  // Does nothing while a recording is paused, as no drone can report then.
+  sweepContacts: (now = Date.now()) => {
+    const { drones, dronePaths, contactThresholds, selectedDroneId, contactClockPausedAt } = get();
+    if (contactClockPausedAt !== null) return;
+
+    const { staleAfterMs, lostAfterMs, expireAfterMs } = contactThresholds;
+    let newDrones = null;
+    let newPaths = null;
+    const events = [];
+
+    drones.forEach((drone, id) => {
+      const silence = now - drone.lastSeen;
+
+      if (silence >= expireAfterMs) {
+        newDrones = newDrones || new Map(drones);
+        newPaths = newPaths || new Map(dronePaths);
+        newDrones.delete(id);
+        newPaths.delete(id);
+        useZoneStore.getState().forgetDrone(id);
+        events.push(createDroneEvent('contact', id, {
+          from: drone.contactState,
+          to: 'expired',
+          message: `${id} removed after ${Math.round(silence / 1000)}s without contact`
+        }));
+        return;
+      }
+
+      const contactState = silence >= lostAfterMs
+        ? CONTACT_STATES.LOST
+        : silence >= staleAfterMs ? CONTACT_STATES.STALE : CONTACT_STATES.LIVE;
+
+      if (contactState !== drone.contactState) {
+        newDrones = newDrones || new Map(drones);
+        newDrones.set(id, { ...drone, contactState });
+        events.push(createDroneEvent('contact', id, {
+          from: drone.contactState,
+          to: contactState,
+          message: contactState === CONTACT_STATES.LOST
+            ? `${id} lost contact`
+            : `${id} stale (no update for ${Math.round(silence / 1000)}s)`
+        }));
+      }
+    });
+
+    if (!newDrones) return;
+
+    useAlertStore.getState().evaluate([], events);
+    set({
+      drones: newDrones,
+      ...(newPaths && { dronePaths: newPaths }),
+      ...(selectedDroneId && !newDrones.has(selectedDroneId) && { selectedDroneId: null }),
+      droneEvents: [...events, ...get().droneEvents].slice(0, MAX_DRONE_EVENTS)
+    });
+  },
+
+  // Replace the authorization rules and reclassify every drone
+  setAuthorizationRules: (rules) => {
+    authorizationEngine.setRules(rules);
+
+    const newDrones = new Map();
+    get().drones.forEach((drone, id) => {
+      newDrones.set(id, { ...drone, ...classifyDrone(drone) });
+    });
+    set({ drones: newDrones });
+    useAlertStore.getState().evaluate([...newDrones.values()]);
+  },
+
+  // Load rules from a JSON file ({ rules: [...] }); keeps the current rules if it is missing
+  loadAuthorizationRules: async (url) => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return;
+      const config = await response.json();
+      get().setAuthorizationRules(config.rules);
+    } catch (error) {
+      console.error(`Failed to load authorization rules from ${url}:`, error.message);
+    }
+  },
+
+  setContactThresholds: (thresholds) => {
+    set({ contactThresholds: { ...get().contactThresholds, ...thresholds } });
+  },
+
+  // Append a fleet statistics sample for the dashboard; call periodically
+  recordStatistics: (now = Date.now()) => {
+    const statistics = get().getStatistics();
+    const sample = {
+      timestamp: now,
+      total: statistics?.totalDrones || 0,
+      unauthorized: statistics?.redDrones || 0,
+      authorized: statistics?.greenDrones || 0,
+      unknown: statistics?.unknownDrones || 0,
+      averageAltitude: statistics?.averageAltitude || 0
+    };
+    set({ statisticsHistory: [...get().statisticsHistory, sample].slice(-MAX_STATISTICS_SAMPLES) });
+  },
+
+  dismissDroneEvent: (eventId) => {
+    set({ droneEvents: get().droneEvents.filter(event => event.id !== eventId) });
+  },
+  
+  // Prepend server-side history (tracks from /api/v1/history) to the live paths
+  backfillPaths: (tracks) => {
+    const newPaths = new Map(get().dronePaths);
+
+    tracks.forEach(({ serial, points }) => {
+      const livePath = newPaths.get(serial) || [];
+      const firstLiveTimestamp = livePath.length > 0 ? livePath[0].timestamp : Infinity;
+      const olderPoints = points
+        .filter(point => point.timestamp < firstLiveTimestamp)
+        .map(point => ({
+          coordinates: point.coordinates,
+          timestamp: point.timestamp,
+          yaw: point.yaw,
+          speed: point.speed
+        }));
+
+      if (olderPoints.length > 0) {
+        newPaths.set(serial, [...olderPoints, ...livePath].slice(-MAX_PATH_POINTS));
+      }
+    });
+
+    set({ dronePaths: newPaths });
+  },
+  
+  // Pausing a recording (or reaching its end) stops the contact clock; on
+  // resume every drone's silence is shortened by the time spent paused, so the
+  // pause neither ages contacts nor counts as flight time
+  setRecordingStatus: (recordingStatus) => {
+    const { contactClockPausedAt, drones } = get();
+    const paused = Boolean(recordingStatus && !recordingStatus.playing);
+
+    if (paused && contactClockPausedAt === null) {
+      set({ recordingStatus, contactClockPausedAt: Date.now() });
+    } else if (!paused && contactClockPausedAt !== null) {
+      const now = Date.now();
+      const pausedFor = now - contactClockPausedAt;
+      const newDrones = new Map();
+      drones.forEach((drone, id) => {
+        newDrones.set(id, { ...drone, lastSeen: Math.min(now, drone.lastSeen + pausedFor) });
+      });
+      set({ recordingStatus, contactClockPausedAt: null, drones: newDrones });
+    } else {
+      set({ recordingStatus });
+    }
+  },
+
+  // Forget every drone, e.g. after signing out so the next user starts from
+  // what the server sends for their role
+  clearDrones: () => {
+    set({ drones: new Map(), dronePaths: new Map(), selectedDroneId: null, lastUpdate: null });
+  },
   
   selectDrone: (droneId) => {
     set({ selectedDroneId: droneId });
@@ -99,20 +507,166 @@ const useDroneStore = create((set, get) => ({
   clearSelection: () => {
     set({ selectedDroneId: null });
   },
+
+  setTrailMode: (trailMode) => {
+    set({ trailMode });
+  },
+
+  // Merge a partial filter, e.g. setDroneFilter({ query: 'BD-' })
+  setDroneFilter: (changes) => {
+    set({ droneFilter: { ...get().droneFilter, ...changes } });
+  },
+
+  resetDroneFilter: () => {
+    set({ droneFilter: DEFAULT_DRONE_FILTER });
+  },
+
+  setDroneSort: (changes) => {
+    set({ droneSort: { ...get().droneSort, ...changes } });
+  },
+
+  setFilterMap: (filterMap) => {
+    set({ filterMap });
+  },
   
-  setConnectionStatus: (status) => {
-    set({ isConnected: status });
+  // Accepts the status object reported by WebSocketService
+  setConnectionStatus: ({ status, isConnected, lastError, reconnectAttempts, nextRetryAt }) => {
+    set({
+      connectionStatus: status,
+      isConnected,
+      connectionError: lastError,
+      reconnectAttempts,
+      nextRetryAt
+    });
   },
   
+  // Replay mode: show the airspace as it was at `replay.time`. `tracks` are
+  // the server's recorded tracks for the replay window (GET /api/v1/history);
+  // together with a copy of the current paths they keep drones in the replay
+  // after they expire from the live view.
+  startReplay: (tracks = []) => {
+    const history = new Map();
+    get().dronePaths.forEach((points, serial) => {
+      history.set(serial, { registration: get().drones.get(serial)?.registration ?? null, points });
+    });
+    tracks.forEach(({ serial, registration, points }) => {
+      const localPoints = history.get(serial)?.points || [];
+      const firstLocalTimestamp = localPoints.length > 0 ? localPoints[0].timestamp : Infinity;
+      const olderPoints = points
+        .filter(point => point.timestamp < firstLocalTimestamp)
+        .map(point => ({
+          coordinates: point.coordinates,
+          timestamp: point.timestamp,
+          yaw: point.yaw,
+          speed: point.speed
+        }));
+      history.set(serial, { registration: registration ?? null, points: [...olderPoints, ...localPoints] });
+    });
+
+    const range = pathsTimeRange(mergeReplayPaths(get().dronePaths, history));
+    if (!range) return;
+    set({ replay: { active: true, time: range.start, playing: false, speed: 1, history } });
+  },
+
+  stopReplay: () => {
+    set({ replay: { active: false, time: null, playing: false, speed: 1, history: null } });
+  },
+
+  setReplayTime: (time) => {
+    set({ replay: { ...get().replay, time } });
+  },
+
+  setReplayPlaying: (playing) => {
+    set({ replay: { ...get().replay, playing } });
+  },
+
+  setReplaySpeed: (speed) => {
+    set({ replay: { ...get().replay, speed } });
+  },
+
   // Computed values
   getActiveDrones: () => {
-    const drones = get().drones;
-    return Array.from(drones.values());
+    return Array.from(get().getDisplayedDrones().values());
+  },
+
+  // Displayed drones matching the sidebar filter, in the chosen order
+  getFilteredDrones: () => {
+    const { droneFilter, droneSort, getActiveDrones } = get();
+    return sortDrones(getActiveDrones().filter(drone => matchesDroneFilter(drone, droneFilter)), droneSort);
+  },
+
+  // Live drones, or the drones reconstructed from their paths while replaying
+  getDisplayedDrones: () => {
+    const { replay, drones, getDronesAt } = get();
+    return replay.active ? getDronesAt(replay.time) : drones;
+  },
+
+  // Live paths, or while replaying the live paths plus the tracks captured by startReplay
+  getDisplayedPaths: () => {
+    const { replay, dronePaths } = get();
+    if (!replay.active || !replay.history) return dronePaths;
+
+    if (replayPathsCache.dronePaths !== dronePaths || replayPathsCache.replayHistory !== replay.history) {
+      replayPathsCache = {
+        dronePaths,
+        replayHistory: replay.history,
+        paths: mergeReplayPaths(dronePaths, replay.history)
+      };
+    }
+    return replayPathsCache.paths;
+  },
+
+  getDronesAt: (time) => {
+    const { drones, replay, getDisplayedPaths } = get();
+    const result = new Map();
+
+    getDisplayedPaths().forEach((path, id) => {
+      const index = findPathIndexAt(path, time);
+      if (index === -1) return;
+
+      const point = path[index];
+      if (time - point.timestamp > REPLAY_PRESENCE_MS) return;
+
+      // Drones no longer in the live view are classified from their recorded registration
+      const liveDrone = drones.get(id);
+      const classification = liveDrone
+        ? { authorization: liveDrone.authorization, color: liveDrone.color }
+        : classifyDrone({ id, registration: replay.history?.get(id)?.registration ?? null });
+      const [lng, lat, altitude] = point.coordinates;
+      result.set(id, {
+        ...liveDrone,
+        id,
+        name: liveDrone?.name || `Drone ${id}`,
+        ...classification,
+        position: { lat, lng, altitude },
+        latitude: lat,
+        longitude: lng,
+        altitude: altitude || 0,
+        yaw: point.yaw ?? liveDrone?.yaw ?? 0,
+        speed: point.speed ?? liveDrone?.speed ?? 0,
+        battery: point.battery ?? liveDrone?.battery,
+        lastSeen: point.timestamp,
+        contactState: CONTACT_STATES.LIVE,
+        // Time into the drone's current session, when the replay time falls inside it
+        flightTime: liveDrone?.takeoffAt && point.timestamp >= liveDrone.takeoffAt
+          ? point.timestamp - liveDrone.takeoffAt
+          : 0
+      });
+    });
+
+    return result;
+  },
+
+  // Earliest and latest timestamps available for replay
+  getReplayRange: () => {
+    return pathsTimeRange(get().getDisplayedPaths());
   },
   
+  // Unauthorized drones in the current view (live or replay)
   getRedDronesCount: () => {
-    const drones = get().drones;
-    return Array.from(drones.values()).filter(drone => drone.color === 'red').length;
+    const drones = get().getDisplayedDrones();
+    return Array.from(drones.values())
+      .filter(drone => drone.authorization === AUTHORIZATION.UNAUTHORIZED).length;
   },
   
   getDroneById: (id) => {
@@ -120,7 +674,7 @@ const useDroneStore = create((set, get) => ({
   },
   
   getDronePath: (id) => {
-    return get().dronePaths.get(id) || [];
+    return get().getDisplayedPaths().get(id) || [];
   },
   
   // Statistics for dashboard
@@ -131,14 +685,19 @@ const useDroneStore = create((set, get) => ({
     const altitudes = drones.map(d => d.altitude);
     return {
       totalDrones: drones.length,
-      redDrones: drones.filter(d => d.color === 'red').length,
-      greenDrones: drones.filter(d => d.color === 'green').length,
+      redDrones: drones.filter(d => d.authorization === AUTHORIZATION.UNAUTHORIZED).length,
+      greenDrones: drones.filter(d => d.authorization === AUTHORIZATION.AUTHORIZED).length,
+      unknownDrones: drones.filter(d => d.authorization === AUTHORIZATION.UNKNOWN).length,
       averageAltitude: altitudes.reduce((a, b) => a + b, 0) / altitudes.length,
       maxAltitude: Math.max(...altitudes),
-      minAltitude: Math.min(...altitudes)
+      minAltitude: Math.min(...altitudes),
+      byOrganization: countBy(drones, d => d.organization),
+      byStatus: countBy(drones, d => d.status),
+      byContactState: countBy(drones, d => d.contactState),
+      altitudeDistribution: getAltitudeDistribution(altitudes)
     };
   }
 }));
 
-export { useDroneStore, DroneDataObserver };
+export { useDroneStore, DroneDataObserver, CONTACT_STATES };
 export default useDroneStore;
\ No newline at end of file
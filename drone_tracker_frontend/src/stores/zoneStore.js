@@ -0,0 +1,96 @@
+import { create } from 'zustand';
+import { compileZone, getZoneState, ZONE_STATES } from '../utils/geofence';
+
+// Geofences and restricted zones, plus which zone each drone is in or near.
+// `evaluateDrones` returns the transitions so the drone store can raise events.
+
+// Event raised when a drone's state for a zone changes, or null. A drone leaving
+// a zone passes through the near band, so inside -> near is already an exit;
+// "near" is only reported when approaching from outside, and drifting away
+// from near is silent.
+const zoneTransition = (before, state) => {
+  if (state === ZONE_STATES.INSIDE) return 'enter';
+  if (before === ZONE_STATES.INSIDE) return 'exit';
+  if (state === ZONE_STATES.NEAR && before === ZONE_STATES.OUTSIDE) return 'near';
+  return null;
+};
+
+const useZoneStore = create((set, get) => ({
+  // State
+  zones: [], // compiled zones, see utils/geofence.js
+  droneZoneStates: new Map(), // droneId -> Map(zoneId -> inside | near)
+
+  // Actions
+  setZones: (featureCollection) => {
+    const zones = (featureCollection.features || []).map(compileZone);
+    set({ zones, droneZoneStates: new Map() });
+  },
+
+  loadZones: async (url) => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return;
+      get().setZones(await response.json());
+    } catch (error) {
+      console.error(`Failed to load zones from ${url}:`, error.message);
+    }
+  },
+
+  // Checks drones against every zone. Returns [{ droneId, zone, transition }]
+  // where transition is enter, near or exit.
+  evaluateDrones: (drones) => {
+    const { zones, droneZoneStates } = get();
+    if (zones.length === 0) return [];
+
+    const newStates = new Map(droneZoneStates);
+    const transitions = [];
+
+    drones.forEach(drone => {
+      if (!drone.position?.lat || !drone.position?.lng) return;
+
+      const previous = droneZoneStates.get(drone.id) || new Map();
+      const current = new Map();
+
+      zones.forEach(zone => {
+        const state = getZoneState(zone, [drone.position.lng, drone.position.lat], drone.altitude);
+        if (state !== ZONE_STATES.OUTSIDE) {
+          current.set(zone.id, state);
+        }
+
+        const before = previous.get(zone.id) || ZONE_STATES.OUTSIDE;
+        if (state === before) return;
+
+        const transition = zoneTransition(before, state);
+        if (transition) {
+          transitions.push({ droneId: drone.id, zone, transition });
+        }
+      });
+
+      if (current.size > 0) {
+        newStates.set(drone.id, current);
+      } else {
+        newStates.delete(drone.id);
+      }
+    });
+
+    set({ droneZoneStates: newStates });
+    return transitions;
+  },
+
+  forgetDrone: (droneId) => {
+    if (!get().droneZoneStates.has(droneId)) return;
+    const newStates = new Map(get().droneZoneStates);
+    newStates.delete(droneId);
+    set({ droneZoneStates: newStates });
+  },
+
+  // Zones a drone is currently inside
+  getZonesForDrone: (droneId) => {
+    const states = get().droneZoneStates.get(droneId);
+    if (!states) return [];
+    return get().zones.filter(zone => states.get(zone.id) === ZONE_STATES.INSIDE);
+  }
+}));
+
+export { useZoneStore };
+export default useZoneStore;
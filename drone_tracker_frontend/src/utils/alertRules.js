@@ -0,0 +1,69 @@
+import { AUTHORIZATION } from '../../../shared/authorizationRules.js';
+
+// Alert rules. Two kinds:
+//  - condition rules look at a drone on every update and raise an alert when
+//    the condition becomes true (again only after it has been false);
+//  - event rules turn a drone event (see droneStore `droneEvents`) into an alert.
+
+export const ALERT_SEVERITY = {
+  INFO: 'info',
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+// Higher is more severe; used for sorting and notification thresholds
+export const SEVERITY_RANK = {
+  [ALERT_SEVERITY.INFO]: 0,
+  [ALERT_SEVERITY.WARNING]: 1,
+  [ALERT_SEVERITY.CRITICAL]: 2
+};
+
+const LOW_BATTERY_PERCENT = Number(import.meta.env.VITE_LOW_BATTERY_PERCENT) || 20;
+const ALTITUDE_CEILING_METERS = Number(import.meta.env.VITE_ALTITUDE_CEILING_M) || 120;
+const CRITICAL_STATUSES = ['CRITICAL', 'EMERGENCY', 'FAILSAFE'];
+
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'unauthorized',
+    name: 'Unauthorized drone',
+    severity: ALERT_SEVERITY.CRITICAL,
+    condition: drone => drone.authorization === AUTHORIZATION.UNAUTHORIZED,
+    message: drone => `Unauthorized drone ${drone.id} (${drone.registration || 'no registration'})`
+  },
+  {
+    id: 'low-battery',
+    name: 'Low battery',
+    severity: ALERT_SEVERITY.WARNING,
+    condition: drone => drone.battery != null && drone.battery < LOW_BATTERY_PERCENT,
+    message: drone => `${drone.id} battery at ${Math.round(drone.battery)}%`
+  },
+  {
+    id: 'critical-status',
+    name: 'Critical status',
+    severity: ALERT_SEVERITY.CRITICAL,
+    condition: drone => CRITICAL_STATUSES.includes(String(drone.status).toUpperCase()),
+    message: drone => `${drone.id} reports ${drone.status}`
+  },
+  {
+    id: 'altitude-ceiling',
+    name: 'Altitude ceiling',
+    severity: ALERT_SEVERITY.WARNING,
+    condition: drone => drone.altitude > ALTITUDE_CEILING_METERS,
+    message: drone => `${drone.id} at ${Math.round(drone.altitude)}m, above the ${ALTITUDE_CEILING_METERS}m ceiling`
+  },
+  {
+    id: 'lost-contact',
+    name: 'Lost contact',
+    severity: ALERT_SEVERITY.WARNING,
+    event: event => event.type === 'contact' && event.to === 'lost',
+    message: event => event.message
+  },
+  {
+    id: 'geofence-entry',
+    name: 'Zone entry',
+    // No-fly zones are critical, other zones a warning
+    severity: event => event.zoneType === 'no-fly' ? ALERT_SEVERITY.CRITICAL : ALERT_SEVERITY.WARNING,
+    event: event => event.type === 'geofence' && event.to === 'enter',
+    message: event => event.message
+  }
+];
@@ -0,0 +1,62 @@
+// Search, filter and sort for drone lists. A filter with its default values
+// matches every drone; numeric limits are ignored when left empty (null).
+
+export const DEFAULT_DRONE_FILTER = {
+  query: '', // serial, registration, name or pilot
+  authorization: 'all', // all | authorized | unauthorized | unknown
+  status: 'all',
+  minAltitude: null,
+  maxAltitude: null,
+  batteryBelow: null
+};
+
+export const SORT_OPTIONS = {
+  none: { label: 'Default', value: null },
+  altitude: { label: 'Altitude', value: drone => drone.altitude || 0 },
+  speed: { label: 'Speed', value: drone => drone.speed || 0 },
+  flightTime: { label: 'Flight time', value: drone => drone.flightTime || 0 },
+  lastSeen: { label: 'Last seen', value: drone => drone.lastSeen || 0 }
+};
+
+export const DEFAULT_DRONE_SORT = {
+  key: 'none',
+  direction: 'desc'
+};
+
+const SEARCH_FIELDS = ['id', 'registration', 'name', 'pilot'];
+
+export const isFilterActive = (filter) =>
+  Object.keys(DEFAULT_DRONE_FILTER).some(key => filter[key] !== DEFAULT_DRONE_FILTER[key]);
+
+export const matchesDroneFilter = (drone, filter) => {
+  const query = filter.query.trim().toLowerCase();
+  if (query && !SEARCH_FIELDS.some(field => String(drone[field] ?? '').toLowerCase().includes(query))) {
+    return false;
+  }
+  if (filter.authorization !== 'all' && drone.authorization !== filter.authorization) return false;
+  if (filter.status !== 'all' && drone.status !== filter.status) return false;
+  if (filter.minAltitude !== null && drone.altitude < filter.minAltitude) return false;
+  if (filter.maxAltitude !== null && drone.altitude > filter.maxAltitude) return false;
+  if (filter.batteryBelow !== null && !(drone.battery != null && drone.battery < filter.batteryBelow)) return false;
+  return true;
+};
+
+// Subset of a drone Map (id -> drone) matching the filter
+export const filterDroneMap = (drones, filter) => {
+  if (!isFilterActive(filter)) return drones;
+
+  const result = new Map();
+  drones.forEach((drone, id) => {
+    if (matchesDroneFilter(drone, filter)) result.set(id, drone);
+  });
+  return result;
+};
+
+// Returns a new array; the default sort keeps the original order
+export const sortDrones = (drones, { key, direction }) => {
+  const getValue = SORT_OPTIONS[key]?.value;
+  if (!getValue) return drones;
+
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...drones].sort((a, b) => (getValue(a) - getValue(b)) * sign);
+};
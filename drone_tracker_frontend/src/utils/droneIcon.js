@@ -0,0 +1,43 @@
+import droneSvg from '../assets/drone.svg?raw';
+
+// Heading-aware drone icons for the map symbol layer. The backend's drone.svg
+// gets a nose marker on top so the icon points north at yaw 0, and one image
+// is registered per marker color.
+
+const ICON_PIXEL_RATIO = 2;
+const NOSE_HEIGHT = 7;
+
+export const getDroneIconName = (color) => `drone-${color.replace('#', '')}`;
+
+const buildDroneSvg = (color) => {
+  const svg = droneSvg
+    .replace('viewBox="0 0 29 30"', `viewBox="0 -${NOSE_HEIGHT} 29 ${30 + NOSE_HEIGHT}"`)
+    .replace('height="30"', `height="${30 + NOSE_HEIGHT}"`)
+    .replaceAll('fill="white"', `fill="${color}"`);
+
+  // Nose triangle above the airframe marks the direction of travel
+  return svg.replace(
+    '</svg>',
+    `<path d="M14.5 -${NOSE_HEIGHT} L19 -1 L10 -1 Z" fill="${color}" stroke="#000" stroke-width="0.8"/></svg>`
+  );
+};
+
+const loadImage = (svg) => new Promise((resolve, reject) => {
+  const image = new Image(29 * ICON_PIXEL_RATIO, (30 + NOSE_HEIGHT) * ICON_PIXEL_RATIO);
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Failed to load drone icon'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
+
+// Registers one icon per color on the map; resolves once all are available
+export const addDroneIcons = (map, colors) => Promise.all(
+  colors.map(async (color) => {
+    const name = getDroneIconName(color);
+    if (map.hasImage(name)) return;
+
+    const image = await loadImage(buildDroneSvg(color));
+    if (!map.hasImage(name)) {
+      map.addImage(name, image, { pixelRatio: ICON_PIXEL_RATIO });
+    }
+  })
+);
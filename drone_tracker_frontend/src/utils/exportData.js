@@ -0,0 +1,49 @@
+// Converts dashboard data into the export tracks of shared/exporters.js:
+// [{ serial, registration, name, points: [{ timestamp, longitude, latitude, altitude, yaw, speed }] }]
+
+// Drones (store records) -> one point each, at their last report
+export const snapshotToExportTracks = (drones) => drones.map(drone => ({
+  serial: drone.id,
+  registration: drone.registration ?? null,
+  name: drone.name ?? null,
+  points: [{
+    timestamp: drone.lastSeen,
+    longitude: drone.longitude,
+    latitude: drone.latitude,
+    altitude: drone.altitude ?? 0,
+    yaw: drone.yaw ?? 0,
+    speed: drone.speed ?? null
+  }]
+}));
+
+// Drones and their `dronePaths` entries -> tracks (drones without a path are skipped)
+export const pathsToExportTracks = (drones, dronePaths) => drones
+  .filter(drone => dronePaths.get(drone.id)?.length > 0)
+  .map(drone => ({
+    serial: drone.id,
+    registration: drone.registration ?? null,
+    name: drone.name ?? null,
+    points: dronePaths.get(drone.id).map(point => ({
+      timestamp: point.timestamp,
+      longitude: point.coordinates[0],
+      latitude: point.coordinates[1],
+      altitude: point.coordinates[2] ?? 0,
+      yaw: point.yaw ?? 0,
+      speed: point.speed ?? null
+    }))
+  }));
+
+// Tracks from GET /api/v1/history -> export tracks
+export const historyToExportTracks = (tracks) => tracks.map(track => ({
+  serial: track.serial,
+  registration: track.registration ?? null,
+  name: null,
+  points: track.points.map(point => ({
+    timestamp: point.timestamp,
+    longitude: point.coordinates[0],
+    latitude: point.coordinates[1],
+    altitude: point.coordinates[2] ?? 0,
+    yaw: point.yaw ?? 0,
+    speed: point.speed ?? null
+  }))
+}));
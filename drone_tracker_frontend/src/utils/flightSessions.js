@@ -0,0 +1,59 @@
+// Takeoff and landing detection. A drone is airborne unless it reports a
+// grounded status or sits at (nearly) zero altitude; separate takeoff and
+// landing altitudes keep noisy readings near the ground from flapping.
+
+const TAKEOFF_ALTITUDE_METERS = 3;
+const LANDING_ALTITUDE_METERS = 1;
+const GROUNDED_STATUSES = ['LANDED', 'GROUNDED', 'PARKED'];
+
+export const isAirborne = (drone, wasAirborne) => {
+  if (GROUNDED_STATUSES.includes(String(drone.status).toUpperCase())) return false;
+  return drone.altitude > (wasAirborne ? LANDING_ALTITUDE_METERS : TAKEOFF_ALTITUDE_METERS);
+};
+
+// Session fields for a drone reported at `now`, given its previous record (if
+// any). `transition` is 'takeoff', 'landed' or null. A drone first seen in the
+// air starts a session without a takeoff transition. `maxGapMs` caps the time
+// credited across a gap in reports (the lost-contact threshold), so a drone
+// that drops out doesn't gain the whole outage as airtime.
+export const advanceFlightSession = (previous, drone, now, maxGapMs = Infinity) => {
+  const wasAirborne = previous?.airborne ?? false;
+  const airborne = isAirborne(drone, wasAirborne);
+
+  if (!previous) {
+    return {
+      transition: null,
+      airborne,
+      takeoffAt: airborne ? now : null,
+      landedAt: null,
+      flightTime: 0,
+      totalFlightTime: 0,
+      sessionCount: airborne ? 1 : 0
+    };
+  }
+
+  const session = {
+    transition: null,
+    airborne,
+    takeoffAt: previous.takeoffAt ?? null,
+    landedAt: previous.landedAt ?? null,
+    flightTime: previous.flightTime || 0,
+    totalFlightTime: previous.totalFlightTime || 0,
+    sessionCount: previous.sessionCount || 0
+  };
+
+  if (airborne && !wasAirborne) {
+    return { ...session, transition: 'takeoff', takeoffAt: now, landedAt: null, flightTime: 0, sessionCount: session.sessionCount + 1 };
+  }
+
+  // Time since the previous report counts while the drone stays in the air,
+  // and up to the landing report when it comes down
+  const elapsed = wasAirborne ? Math.min(Math.max(0, now - previous.lastSeen), maxGapMs) : 0;
+  session.flightTime += elapsed;
+  session.totalFlightTime += elapsed;
+
+  if (!airborne && wasAirborne) {
+    return { ...session, transition: 'landed', landedAt: now };
+  }
+  return session;
+};
@@ -0,0 +1,13 @@
+// Display formatting shared by the list, popup and detail views
+
+// Milliseconds as HH:MM:SS (hours keep growing past 99)
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(Math.max(0, ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+};
+
+// Epoch ms as a local clock time, or a dash when missing
+export const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleTimeString() : '—');
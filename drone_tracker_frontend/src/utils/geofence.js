@@ -0,0 +1,117 @@
+// Geometry helpers for geofences: GeoJSON Polygon / MultiPolygon zones with
+// optional altitude `floor` and `ceiling` (meters) in their properties.
+
+const METERS_PER_DEGREE = 111320;
+
+// Horizontal distance (m) under which a drone counts as near a zone
+export const DEFAULT_NEAR_DISTANCE_METERS = 300;
+// Vertical distance (m) outside the floor/ceiling band that still counts as near
+const NEAR_VERTICAL_METERS = 30;
+
+export const ZONE_STATES = {
+  INSIDE: 'inside',
+  NEAR: 'near',
+  OUTSIDE: 'outside'
+};
+
+// Ray casting on one linear ring
+const isInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// A polygon is its outer ring minus its holes
+const isInPolygon = (point, rings) =>
+  isInRing(point, rings[0]) && !rings.slice(1).some(hole => isInRing(point, hole));
+
+// Distance from a point to a segment, in meters, on a local flat projection
+const distanceToSegmentMeters = ([px, py], [ax, ay], [bx, by], cosLat) => {
+  const x = (px - ax) * cosLat;
+  const y = py - ay;
+  const dx = (bx - ax) * cosLat;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (x * dx + y * dy) / lengthSquared));
+  const ex = x - t * dx;
+  const ey = y - t * dy;
+  return Math.sqrt(ex * ex + ey * ey) * METERS_PER_DEGREE;
+};
+
+const getPolygons = (geometry) => {
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+// Precomputes what zone checks need: polygons, bounding box and limits
+export const compileZone = (feature, index) => {
+  const polygons = getPolygons(feature.geometry);
+  if (polygons.length === 0) {
+    throw new Error(`Zone ${index + 1} must be a Polygon or MultiPolygon`);
+  }
+
+  const properties = feature.properties || {};
+  let minLng = Infinity;
+  let minLat = Infinity;
+  let maxLng = -Infinity;
+  let maxLat = -Infinity;
+  polygons.forEach(rings => rings[0].forEach(([lng, lat]) => {
+    minLng = Math.min(minLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLng = Math.max(maxLng, lng);
+    maxLat = Math.max(maxLat, lat);
+  }));
+
+  return {
+    id: properties.id ?? String(index),
+    name: properties.name || `Zone ${index + 1}`,
+    type: properties.type || 'restricted',
+    floor: properties.floor ?? 0,
+    ceiling: properties.ceiling ?? Infinity,
+    nearDistance: properties.nearDistance ?? DEFAULT_NEAR_DISTANCE_METERS,
+    polygons,
+    bbox: [minLng, minLat, maxLng, maxLat],
+    feature
+  };
+};
+
+// Horizontal distance (m) from a point to a zone; 0 when inside it
+const horizontalDistanceMeters = (point, zone) => {
+  if (zone.polygons.some(rings => isInPolygon(point, rings))) return 0;
+
+  const cosLat = Math.cos((point[1] * Math.PI) / 180);
+  let best = Infinity;
+  zone.polygons.forEach(rings => rings.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      best = Math.min(best, distanceToSegmentMeters(point, ring[i - 1], ring[i], cosLat));
+    }
+  }));
+  return best;
+};
+
+// inside / near / outside for a drone at [lng, lat] and `altitude` meters
+export const getZoneState = (zone, [lng, lat], altitude = 0) => {
+  // Cheap bounding box rejection, padded by the near distance
+  const padLat = zone.nearDistance / METERS_PER_DEGREE;
+  const padLng = padLat / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+  const [minLng, minLat, maxLng, maxLat] = zone.bbox;
+  if (lng < minLng - padLng || lng > maxLng + padLng || lat < minLat - padLat || lat > maxLat + padLat) {
+    return ZONE_STATES.OUTSIDE;
+  }
+
+  const horizontal = horizontalDistanceMeters([lng, lat], zone);
+  const vertical = altitude < zone.floor
+    ? zone.floor - altitude
+    : altitude > zone.ceiling ? altitude - zone.ceiling : 0;
+
+  if (horizontal === 0 && vertical === 0) return ZONE_STATES.INSIDE;
+  if (horizontal <= zone.nearDistance && vertical <= NEAR_VERTICAL_METERS) return ZONE_STATES.NEAR;
+  return ZONE_STATES.OUTSIDE;
+};
@@ -0,0 +1,240 @@
+// GeoJSON builders and layer styles for drone data rendered on the Mapbox map
+import { getDroneIconName } from './droneIcon';
+
+// Authorization colors shared by map layers, keyed by drone.color
+export const AUTHORIZATION_COLORS = {
+  green: '#10B981',
+  red: '#EF4444',
+  gray: '#9CA3AF'
+};
+
+// Every marker color, so icons can be registered up front
+export const MARKER_COLORS = Object.values(AUTHORIZATION_COLORS);
+
+const getMarkerColor = (drone) => AUTHORIZATION_COLORS[drone.color] || AUTHORIZATION_COLORS.gray;
+
+export const DRONE_SOURCE_ID = 'drones';
+export const DRONE_POINT_LAYER_ID = 'drone-points';
+export const DRONE_ICON_LAYER_ID = 'drone-icons';
+
+// One Point feature per drone; `id` is promoted to the feature id for feature-state.
+// `positions` optionally overrides position and yaw (interpolated motion).
+export const buildDroneFeatures = (drones, positions = null) => {
+  const features = [];
+  drones.forEach(drone => {
+    if (!drone.position || !drone.position.lat || !drone.position.lng) return;
+
+    const rendered = positions?.get(drone.id);
+    const markerColor = getMarkerColor(drone);
+    features.push({
+      type: 'Feature',
+      properties: {
+        id: drone.id,
+        markerColor,
+        icon: getDroneIconName(markerColor),
+        yaw: rendered ? rendered.yaw : drone.yaw || 0,
+        contactState: drone.contactState || 'live',
+        active: drone.status?.toLowerCase() === 'active'
+      },
+      geometry: {
+        type: 'Point',
+        coordinates: rendered
+          ? [rendered.lng, rendered.lat]
+          : [drone.position.lng, drone.position.lat]
+      }
+    });
+  });
+  return features;
+};
+
+const isSelected = ['boolean', ['feature-state', 'selected'], false];
+const isHovered = ['boolean', ['feature-state', 'hover'], false];
+
+// Stale drones are dimmed, lost drones only faintly mark their last position
+const contactOpacity = (liveOpacity) => [
+  'match', ['get', 'contactState'],
+  'stale', liveOpacity * 0.45,
+  'lost', liveOpacity * 0.2,
+  liveOpacity
+];
+
+// Soft glow behind active and selected drones
+export const droneHaloLayer = {
+  id: 'drone-halo',
+  type: 'circle',
+  source: DRONE_SOURCE_ID,
+  filter: ['all', ['==', ['get', 'active'], true], ['==', ['get', 'contactState'], 'live']],
+  paint: {
+    'circle-radius': ['case', isSelected, 22, 15],
+    'circle-color': ['get', 'markerColor'],
+    'circle-opacity': 0.25,
+    'circle-blur': 0.6
+  }
+};
+
+// Dark disc under the icon; also the click and hover target
+export const dronePointLayer = {
+  id: DRONE_POINT_LAYER_ID,
+  type: 'circle',
+  source: DRONE_SOURCE_ID,
+  paint: {
+    'circle-radius': ['case', isSelected, 14, isHovered, 13, 11],
+    'circle-color': '#000000',
+    'circle-opacity': contactOpacity(0.6),
+    'circle-stroke-color': ['case', isSelected, '#ffffff', ['get', 'markerColor']],
+    'circle-stroke-width': ['case', isSelected, 3, 1.5],
+    'circle-stroke-opacity': ['case', isSelected, 1, contactOpacity(0.8)],
+    'circle-pitch-alignment': 'map'
+  }
+};
+
+// Drone icon rotated to the heading. Map alignment keeps the yaw relative to
+// true north when the map is rotated and lays the icon flat when pitched.
+export const droneIconLayer = {
+  id: DRONE_ICON_LAYER_ID,
+  type: 'symbol',
+  source: DRONE_SOURCE_ID,
+  layout: {
+    'icon-image': ['get', 'icon'],
+    'icon-size': 0.6,
+    'icon-rotate': ['get', 'yaw'],
+    'icon-rotation-alignment': 'map',
+    'icon-pitch-alignment': 'map',
+    'icon-allow-overlap': true,
+    'icon-ignore-placement': true
+  },
+  paint: {
+    'icon-opacity': contactOpacity(1)
+  }
+};
+
+// Trail lengths in path points
+const TRAIL_POINTS = 30;
+const SELECTED_TRAIL_POINTS = Infinity;
+
+export const TRAIL_MODES = {
+  ALL: 'all',
+  SELECTED: 'selected',
+  NONE: 'none'
+};
+
+// One LineString per displayed drone, cut at `untilTime` during replay
+export const buildTrailFeatures = ({ drones, dronePaths, trailMode, selectedDroneId, untilTime = Infinity }) => {
+  if (trailMode === TRAIL_MODES.NONE) return [];
+
+  const features = [];
+  drones.forEach((drone, id) => {
+    const isSelected = id === selectedDroneId;
+    if (trailMode === TRAIL_MODES.SELECTED && !isSelected) return;
+
+    const path = dronePaths.get(id);
+    if (!path || path.length < 2) return;
+
+    const visible = untilTime === Infinity ? path : path.filter(point => point.timestamp <= untilTime);
+    const limit = isSelected ? SELECTED_TRAIL_POINTS : TRAIL_POINTS;
+    const points = visible.length > limit ? visible.slice(-limit) : visible;
+    if (points.length < 2) return;
+
+    features.push({
+      type: 'Feature',
+      properties: {
+        id,
+        color: drone.color,
+        selected: isSelected
+      },
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(point => point.coordinates.slice(0, 2))
+      }
+    });
+  });
+
+  return features;
+};
+
+export const TRAIL_SOURCE_ID = 'drone-trails';
+
+export const trailLayer = {
+  id: 'drone-trails',
+  type: 'line',
+  source: TRAIL_SOURCE_ID,
+  layout: {
+    'line-join': 'round',
+    'line-cap': 'round'
+  },
+  paint: {
+    'line-color': [
+      'match', ['get', 'color'],
+      'green', AUTHORIZATION_COLORS.green,
+      'red', AUTHORIZATION_COLORS.red,
+      AUTHORIZATION_COLORS.gray
+    ],
+    'line-width': ['case', ['get', 'selected'], 4, 2],
+    'line-opacity': ['case', ['get', 'selected'], 0.95, 0.55]
+  }
+};
+
+// Geofences and restricted zones, drawn beneath trails and drones
+export const ZONE_SOURCE_ID = 'zones';
+
+export const ZONE_COLORS = {
+  'no-fly': '#EF4444',
+  restricted: '#F59E0B',
+  geofence: '#3B82F6'
+};
+
+const zoneColor = [
+  'match', ['get', 'type'],
+  'no-fly', ZONE_COLORS['no-fly'],
+  'geofence', ZONE_COLORS.geofence,
+  ZONE_COLORS.restricted
+];
+
+// Zone features carry `type` and `name` plus an `occupied` flag for zones with a drone inside
+export const buildZoneFeatures = (zones, occupiedZoneIds = new Set()) =>
+  zones.map(zone => ({
+    ...zone.feature,
+    properties: {
+      ...zone.feature.properties,
+      id: zone.id,
+      name: zone.name,
+      type: zone.type,
+      occupied: occupiedZoneIds.has(zone.id)
+    }
+  }));
+
+export const zoneFillLayer = {
+  id: 'zone-fill',
+  type: 'fill',
+  source: ZONE_SOURCE_ID,
+  paint: {
+    'fill-color': zoneColor,
+    'fill-opacity': ['case', ['get', 'occupied'], 0.3, 0.12]
+  }
+};
+
+export const zoneLineLayer = {
+  id: 'zone-outline',
+  type: 'line',
+  source: ZONE_SOURCE_ID,
+  paint: {
+    'line-color': zoneColor,
+    'line-width': ['case', ['get', 'occupied'], 3, 1.5],
+    'line-dasharray': [2, 1]
+  }
+};
+
+export const zoneLabelLayer = {
+  id: 'zone-labels',
+  type: 'symbol',
+  source: ZONE_SOURCE_ID,
+  layout: {
+    'text-field': ['get', 'name'],
+    'text-size': 11
+  },
+  paint: {
+    'text-color': zoneColor,
+    'text-halo-color': 'rgba(0, 0, 0, 0.8)',
+    'text-halo-width': 1
+  }
+};
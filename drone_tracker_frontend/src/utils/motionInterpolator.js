@@ -0,0 +1,120 @@
+// Smooths drone motion between position reports. Each new fix starts a glide
+// from the currently rendered position to the fix, lasting as long as the gap
+// between the drone's last two fixes. Once the glide finishes the drone is
+// dead-reckoned along its yaw and speed until the next fix arrives. Fixes that
+// disagree too much with what is on screen are snapped to directly.
+
+const METERS_PER_DEGREE = 111320;
+const SNAP_DISTANCE_METERS = 250;
+const MIN_GLIDE_MS = 100;
+const MAX_GLIDE_MS = 5000;
+const MAX_EXTRAPOLATION_MS = 1500;
+
+const distanceMeters = (a, b) => {
+  const x = (b.lng - a.lng) * Math.cos((((a.lat + b.lat) / 2) * Math.PI) / 180);
+  const y = b.lat - a.lat;
+  return Math.sqrt(x * x + y * y) * METERS_PER_DEGREE;
+};
+
+// Shortest-way interpolation between two headings in degrees
+const lerpAngle = (from, to, t) => {
+  const delta = ((to - from + 540) % 360) - 180;
+  return (from + delta * t + 360) % 360;
+};
+
+const lerp = (from, to, t) => from + (to - from) * t;
+
+class MotionInterpolator {
+  constructor() {
+    this.tracks = new Map(); // id -> { from, to, startTime, duration, fixTime }
+  }
+
+  // Feed the latest drones; `now` is a performance.now() style clock
+  update(drones, now) {
+    drones.forEach((drone, id) => {
+      if (!drone.position?.lat || !drone.position?.lng) return;
+
+      const fix = {
+        lng: drone.position.lng,
+        lat: drone.position.lat,
+        yaw: drone.yaw || 0,
+        speed: drone.speed || 0
+      };
+      const track = this.tracks.get(id);
+
+      if (!track) {
+        this.tracks.set(id, { from: fix, to: fix, startTime: now, duration: 0, fixTime: drone.lastSeen });
+        return;
+      }
+      if (track.fixTime === drone.lastSeen) return; // nothing new for this drone
+
+      const rendered = this.sampleTrack(track, now);
+      const interval = drone.lastSeen - track.fixTime;
+      const snap = !(interval > 0) || distanceMeters(rendered, fix) > SNAP_DISTANCE_METERS;
+
+      this.tracks.set(id, {
+        from: snap ? fix : rendered,
+        to: fix,
+        startTime: now,
+        duration: snap ? 0 : Math.min(Math.max(interval, MIN_GLIDE_MS), MAX_GLIDE_MS),
+        fixTime: drone.lastSeen
+      });
+    });
+
+    // Forget drones that are no longer reported
+    this.tracks.forEach((_, id) => {
+      if (!drones.has(id)) this.tracks.delete(id);
+    });
+  }
+
+  // Whether any drone is still gliding or being dead-reckoned at `now`; once
+  // none is, sampling again gives the same positions
+  isMoving(now) {
+    for (const { startTime, duration, to } of this.tracks.values()) {
+      const motionEnd = startTime + duration + (to.speed > 0 ? MAX_EXTRAPOLATION_MS : 0);
+      if (now < motionEnd) return true;
+    }
+    return false;
+  }
+
+  // Rendered position of every tracked drone at `now`
+  sample(now) {
+    const positions = new Map();
+    this.tracks.forEach((track, id) => {
+      positions.set(id, this.sampleTrack(track, now));
+    });
+    return positions;
+  }
+
+  sampleTrack({ from, to, startTime, duration }, now) {
+    const elapsed = now - startTime;
+
+    if (elapsed < duration) {
+      const t = elapsed / duration;
+      return {
+        lng: lerp(from.lng, to.lng, t),
+        lat: lerp(from.lat, to.lat, t),
+        yaw: lerpAngle(from.yaw, to.yaw, t),
+        speed: to.speed
+      };
+    }
+
+    // Dead reckoning past the last fix, for a limited time
+    const seconds = Math.min(elapsed - duration, MAX_EXTRAPOLATION_MS) / 1000;
+    const distance = to.speed * seconds;
+    const heading = (to.yaw * Math.PI) / 180;
+    return {
+      lng: to.lng + (distance * Math.sin(heading)) / (METERS_PER_DEGREE * Math.cos((to.lat * Math.PI) / 180)),
+      lat: to.lat + (distance * Math.cos(heading)) / METERS_PER_DEGREE,
+      yaw: to.yaw,
+      speed: to.speed
+    };
+  }
+
+  clear() {
+    this.tracks.clear();
+  }
+}
+
+export { MotionInterpolator };
+export default MotionInterpolator;
@@ -0,0 +1,293 @@
+import { normalizeTelemetry, parseTelemetryBatch, toFeature } from '../../../shared/telemetry.js';
+
+// Turns a recorded session into frames for WebSocketService's recording source:
+//
+//   { name, format, frames: [{ timestamp, data }], skipped: [{ location, errors }] }
+//
+// `data` is what the live feed would have sent at `timestamp` (epoch ms).
+// Supported files:
+//   .ndjson / .jsonl  one message per line: a FeatureCollection, a Feature or
+//                     an array, as received from the server; or one position
+//                     per line as written by the server's history store
+//                     ({ serial, t, coordinates, ... })
+//   .csv              one row per position; the columns of the CSV export
+//                     (serial, registration, name, timestamp, longitude,
+//                     latitude, altitude, yaw, speed), plus battery and signal
+//   .gpx              tracks and waypoints, e.g. from the GPX export; the track
+//                     name is the serial
+// Every position is validated with the shared telemetry schema when the file is
+// loaded; invalid ones are skipped. Positions read one per line (CSV, GPX,
+// history lines) reported at the same time form one frame.
+
+export const RECORDING_FORMATS = {
+  NDJSON: 'ndjson',
+  CSV: 'csv',
+  GPX: 'gpx'
+};
+
+// Spacing given to NDJSON messages without any timestamp
+const DEFAULT_FRAME_INTERVAL_MS = 1000;
+
+const NUMERIC_COLUMNS = ['longitude', 'latitude', 'altitude', 'yaw', 'speed', 'battery', 'signal'];
+
+export const detectRecordingFormat = (filename, text) => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'ndjson' || extension === 'jsonl' || extension === 'json') return RECORDING_FORMATS.NDJSON;
+  if (extension === 'csv') return RECORDING_FORMATS.CSV;
+  if (extension === 'gpx') return RECORDING_FORMATS.GPX;
+
+  const start = text.trimStart();
+  if (start.startsWith('<')) return RECORDING_FORMATS.GPX;
+  if (start.startsWith('{') || start.startsWith('[')) return RECORDING_FORMATS.NDJSON;
+  return RECORDING_FORMATS.CSV;
+};
+
+// Splits CSV text into rows of fields; handles quoted fields with commas,
+// doubled quotes and line breaks
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Normalized positions -> frames of Features, one per distinct timestamp
+const groupIntoFrames = (records) => {
+  const byTimestamp = new Map();
+  records.forEach(record => {
+    const features = byTimestamp.get(record.timestamp) || [];
+    features.push(toFeature(record));
+    byTimestamp.set(record.timestamp, features);
+  });
+
+  return Array.from(byTimestamp, ([timestamp, features]) => ({
+    timestamp,
+    data: { type: 'FeatureCollection', features }
+  })).sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Validates one position with the shared schema; recordings need timestamps
+const normalizePosition = (input) => {
+  const result = normalizeTelemetry(input);
+  if (result.ok && result.record.timestamp === null) {
+    return { ok: false, errors: ['timestamp: required in recordings'] };
+  }
+  return result;
+};
+
+// History store lines carry the time as `t` and the position as `coordinates`
+const isHistoryLine = (payload) => !Array.isArray(payload) && payload.type === undefined && 't' in payload;
+
+const historyLineInput = ({ t, coordinates, ...fields }) => ({
+  ...fields,
+  longitude: Array.isArray(coordinates) ? coordinates[0] : undefined,
+  latitude: Array.isArray(coordinates) ? coordinates[1] : undefined,
+  timestamp: t
+});
+
+const parseNdjson = (text) => {
+  const frames = [];
+  const historyRecords = [];
+  const skipped = [];
+  let lastTimestamp = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    const location = `line ${index + 1}`;
+
+    let payload;
+    try {
+      payload = JSON.parse(line);
+    } catch (error) {
+      skipped.push({ location, errors: [error.message] });
+      return;
+    }
+    if (!payload || typeof payload !== 'object') {
+      skipped.push({ location, errors: ['message: must be an object or an array'] });
+      return;
+    }
+
+    if (isHistoryLine(payload)) {
+      const result = normalizePosition(historyLineInput(payload));
+      if (result.ok) {
+        historyRecords.push(result.record);
+      } else {
+        skipped.push({ location, errors: result.errors });
+      }
+      return;
+    }
+
+    let batch;
+    try {
+      batch = parseTelemetryBatch(payload);
+    } catch (error) {
+      skipped.push({ location, errors: [error.message] });
+      return;
+    }
+    batch.rejected.forEach(({ index: item, errors }) => {
+      skipped.push({ location: `${location}, message ${item + 1}`, errors });
+    });
+    if (batch.accepted.length === 0) return;
+
+    // The latest time any message reports, else the previous line's plus a second
+    const times = batch.accepted.map(record => record.timestamp).filter(time => time !== null);
+    const timestamp = times.length > 0
+      ? Math.max(...times)
+      : (lastTimestamp === null ? 0 : lastTimestamp + DEFAULT_FRAME_INTERVAL_MS);
+    frames.push({ timestamp, data: { type: 'FeatureCollection', features: batch.accepted.map(toFeature) } });
+    lastTimestamp = timestamp;
+  });
+
+  return { frames: [...frames, ...groupIntoFrames(historyRecords)].sort((a, b) => a.timestamp - b.timestamp), skipped };
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    throw new Error('The CSV file is empty');
+  }
+  const columns = header.map(column => column.trim().toLowerCase());
+  ['serial', 'timestamp', 'longitude', 'latitude'].forEach(column => {
+    if (!columns.includes(column)) {
+      throw new Error(`The CSV file has no "${column}" column`);
+    }
+  });
+
+  const records = [];
+  const skipped = [];
+  rows.forEach((fields, index) => {
+    const input = {};
+    columns.forEach((column, position) => {
+      const value = (fields[position] ?? '').trim();
+      if (value === '') return;
+      input[column] = NUMERIC_COLUMNS.includes(column) ? Number(value) : value;
+    });
+
+    const result = normalizePosition(input);
+    if (result.ok) {
+      records.push(result.record);
+    } else {
+      skipped.push({ location: `line ${index + 2}`, errors: result.errors });
+    }
+  });
+
+  return { frames: groupIntoFrames(records), skipped };
+};
+
+const childText = (element, localName) => {
+  const child = Array.from(element.children).find(node => node.localName === localName);
+  return child ? child.textContent.trim() : null;
+};
+
+// <trkpt> / <wpt> -> raw telemetry input; yaw and speed come from <extensions>
+const gpxPointInput = (element, serial, registration) => {
+  const extensions = Array.from(element.children).find(node => node.localName === 'extensions');
+  const extension = (localName) => {
+    const value = extensions ? childText(extensions, localName) : null;
+    return value === null ? undefined : Number(value);
+  };
+  const elevation = childText(element, 'ele');
+
+  return {
+    serial,
+    registration,
+    longitude: Number(element.getAttribute('lon')),
+    latitude: Number(element.getAttribute('lat')),
+    altitude: elevation === null ? undefined : Number(elevation),
+    timestamp: childText(element, 'time') ?? undefined,
+    yaw: extension('yaw'),
+    speed: extension('speed')
+  };
+};
+
+// "Registration BD-01" as written by the GPX export
+const gpxRegistration = (element) => {
+  const match = /^Registration (\S+)$/.exec(childText(element, 'desc') || '');
+  return match ? match[1] : undefined;
+};
+
+const parseGpx = (text) => {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The GPX file is not valid XML');
+  }
+
+  const inputs = [];
+  const root = xml.documentElement;
+  Array.from(root.children).forEach((element, index) => {
+    // Names like "ABCD1234 (DJI Mini 3)" keep only the serial
+    const serial = (childText(element, 'name') || `track-${index + 1}`).split(' ')[0];
+    const registration = gpxRegistration(element);
+
+    if (element.localName === 'wpt') {
+      inputs.push(gpxPointInput(element, serial, registration));
+    } else if (element.localName === 'trk') {
+      Array.from(element.getElementsByTagNameNS('*', 'trkpt')).forEach(point => {
+        inputs.push(gpxPointInput(point, serial, registration));
+      });
+    }
+  });
+
+  const records = [];
+  const skipped = [];
+  inputs.forEach((input, index) => {
+    const result = normalizePosition(input);
+    if (result.ok) {
+      records.push(result.record);
+    } else {
+      skipped.push({ location: `point ${index + 1}`, errors: result.errors });
+    }
+  });
+
+  return { frames: groupIntoFrames(records), skipped };
+};
+
+const PARSERS = {
+  [RECORDING_FORMATS.NDJSON]: parseNdjson,
+  [RECORDING_FORMATS.CSV]: parseCsv,
+  [RECORDING_FORMATS.GPX]: parseGpx
+};
+
+// Throws when the file can't be used at all
+export const parseRecording = (text, filename = 'recording') => {
+  const format = detectRecordingFormat(filename, text);
+  const { frames, skipped } = PARSERS[format](text);
+  if (frames.length === 0) {
+    const reason = skipped[0] ? `: ${skipped[0].errors.join('; ')}` : '';
+    throw new Error(`No telemetry found in ${filename}${reason}`);
+  }
+  return { name: filename, format, frames, skipped };
+};
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // The telemetry schema lives in ../shared, outside the project root
+    fs: {
+      allow: ['..'],
+    },
+  },
 })
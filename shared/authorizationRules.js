@@ -0,0 +1,107 @@
+// Rule engine classifying drones as authorized, unauthorized or unknown,
+// shared by the dashboard and the server (GET /api/v1/drones/stats) so both
+// count the same drones as authorized.
+//
+// Rules are evaluated in order and the first matching rule decides. A rule
+// matches when every criterion it specifies matches (criteria are ANDed):
+//
+//   {
+//     "name": "Sager fleet during working hours",
+//     "result": "authorized",                 // authorized | unauthorized | unknown
+//     "serials": ["ABCDABCDAB"],               // allowlist / denylist of serials
+//     "registrationPattern": "^B",             // regular expression
+//     "pilots": ["Besher"],
+//     "organizations": ["Sager Drone"],
+//     "timeWindows": [{ "days": [0, 1, 2, 3, 4], "start": "06:00", "end": "20:00" }]
+//   }
+//
+// Time windows use the local time of whoever evaluates them; `days` follows Date#getDay (0 = Sunday) and a
+// window whose end is before its start wraps past midnight.
+
+export const AUTHORIZATION = {
+  AUTHORIZED: 'authorized',
+  UNAUTHORIZED: 'unauthorized',
+  UNKNOWN: 'unknown'
+};
+
+// Same behavior as the original "registration starts with B" strategy,
+// plus "unknown" for drones without a registration
+export const DEFAULT_AUTHORIZATION_RULES = [
+  { name: 'B registrations', result: AUTHORIZATION.AUTHORIZED, registrationPattern: '^B' },
+  { name: 'Other registrations', result: AUTHORIZATION.UNAUTHORIZED, registrationPattern: '.' }
+];
+
+const parseClock = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isWithinWindow = (window, date) => {
+  if (window.days && !window.days.includes(date.getDay())) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = parseClock(window.start || '00:00');
+  const end = parseClock(window.end || '24:00');
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+class AuthorizationRuleEngine {
+  constructor(rules = DEFAULT_AUTHORIZATION_RULES, defaultResult = AUTHORIZATION.UNKNOWN) {
+    this.defaultResult = defaultResult;
+    this.setRules(rules);
+  }
+
+  // Validates and compiles the rules; throws on the first invalid rule
+  setRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Authorization rules must be an array');
+    }
+
+    this.rules = rules.map((rule, index) => {
+      const label = rule.name || `rule ${index + 1}`;
+      if (!Object.values(AUTHORIZATION).includes(rule.result)) {
+        throw new Error(`${label}: result must be one of ${Object.values(AUTHORIZATION).join(', ')}`);
+      }
+
+      let registrationRegex = null;
+      if (rule.registrationPattern !== undefined) {
+        try {
+          registrationRegex = new RegExp(rule.registrationPattern);
+        } catch (error) {
+          throw new Error(`${label}: invalid registrationPattern (${error.message})`);
+        }
+      }
+
+      return {
+        ...rule,
+        registrationRegex,
+        serials: rule.serials && new Set(rule.serials),
+        pilots: rule.pilots && new Set(rule.pilots),
+        organizations: rule.organizations && new Set(rule.organizations)
+      };
+    });
+  }
+
+  matches(rule, drone, date) {
+    if (rule.serials && !rule.serials.has(drone.id)) return false;
+    if (rule.registrationRegex && !rule.registrationRegex.test(drone.registration || '')) return false;
+    if (rule.pilots && !rule.pilots.has(drone.pilot)) return false;
+    if (rule.organizations && !rule.organizations.has(drone.organization)) return false;
+    if (rule.timeWindows && !rule.timeWindows.some(window => isWithinWindow(window, date))) return false;
+    return true;
+  }
+
+  // `drone` needs id, registration, pilot and organization
+  classify(drone, date = new Date()) {
+    const rule = this.rules.find(candidate => this.matches(candidate, drone, date));
+    return rule ? rule.result : this.defaultResult;
+  }
+}
+
+// Shared instance used by the store, so map, list and counters agree
+const authorizationEngine = new AuthorizationRuleEngine();
+
+export { AuthorizationRuleEngine, authorizationEngine };
+export default authorizationEngine;
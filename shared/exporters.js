@@ -0,0 +1,232 @@
+// Airspace and track exporters shared by the server (GET /api/v1/export/...)
+// and the dashboard's export panel, so a file looks the same wherever it was
+// produced. Both sides first convert their data into export tracks:
+//
+//   [{
+//     serial, registration, name,      // strings; registration and name may be null
+//     points: [{ timestamp,            // epoch ms
+//                longitude, latitude,  // degrees
+//                altitude,             // meters
+//                yaw,                  // degrees
+//                speed }]              // m/s, may be null
+//   }]
+//
+// A snapshot is a list of tracks with one point each. Every format uses the
+// same names for the same fields: serial, registration, name, timestamp (ISO
+// 8601), longitude, latitude, altitude, yaw and speed.
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML (Google Earth)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+export const CSV_COLUMNS = ['serial', 'registration', 'name', 'timestamp', 'longitude', 'latitude', 'altitude', 'yaw', 'speed'];
+
+// Namespace of the GPX <extensions> elements carrying yaw and speed
+const GPX_EXTENSION_NAMESPACE = 'urn:drone-tracker:gpx:1';
+
+const isoTime = (timestamp) => new Date(timestamp).toISOString();
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const trackTitle = (track) => track.name ? `${track.serial} (${track.name})` : track.serial;
+
+// Flattened per-point values, shared by the CSV rows and the KML / GPX fields
+const pointFields = (track, point) => ({
+  serial: track.serial,
+  registration: track.registration ?? null,
+  name: track.name ?? null,
+  timestamp: isoTime(point.timestamp),
+  longitude: point.longitude,
+  latitude: point.latitude,
+  altitude: point.altitude,
+  yaw: point.yaw,
+  speed: point.speed ?? null
+});
+
+// Single-point tracks become Points, longer ones LineStrings with per-vertex
+// values in parallel arrays (as GET /api/v1/drones/:serial/track does)
+export const toGeoJSON = (tracks) => ({
+  type: 'FeatureCollection',
+  features: tracks.filter(track => track.points.length > 0).map(track => {
+    if (track.points.length === 1) {
+      const { longitude, latitude, ...properties } = pointFields(track, track.points[0]);
+      return {
+        type: 'Feature',
+        properties,
+        geometry: { type: 'Point', coordinates: [longitude, latitude, properties.altitude] }
+      };
+    }
+
+    return {
+      type: 'Feature',
+      properties: {
+        serial: track.serial,
+        registration: track.registration ?? null,
+        name: track.name ?? null,
+        timestamps: track.points.map(point => isoTime(point.timestamp)),
+        altitudes: track.points.map(point => point.altitude),
+        yaws: track.points.map(point => point.yaw),
+        speeds: track.points.map(point => point.speed ?? null)
+      },
+      geometry: {
+        type: 'LineString',
+        coordinates: track.points.map(point => [point.longitude, point.latitude, point.altitude])
+      }
+    };
+  })
+});
+
+const kmlExtendedData = (fields) => [
+  '      <ExtendedData>',
+  ...Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `        <Data name="${name}"><value>${escapeXml(value)}</value></Data>`),
+  '      </ExtendedData>'
+];
+
+// Points become placemarks with a timestamp; tracks become gx:Track elements,
+// which Google Earth animates with its time slider and orients by yaw.
+// Telemetry altitudes are above ground level, hence relativeToGround.
+export const toKML = (tracks, { title = 'Drone tracks' } = {}) => {
+  const placemarks = tracks.filter(track => track.points.length > 0).map(track => {
+    const first = pointFields(track, track.points[0]);
+    const header = [
+      '    <Placemark>',
+      `      <name>${escapeXml(trackTitle(track))}</name>`
+    ];
+
+    if (track.points.length === 1) {
+      return [
+        ...header,
+        `      <TimeStamp><when>${first.timestamp}</when></TimeStamp>`,
+        ...kmlExtendedData(first),
+        '      <Point>',
+        '        <altitudeMode>relativeToGround</altitudeMode>',
+        `        <coordinates>${first.longitude},${first.latitude},${first.altitude}</coordinates>`,
+        '      </Point>',
+        '    </Placemark>'
+      ].join('\n');
+    }
+
+    return [
+      ...header,
+      ...kmlExtendedData({ serial: track.serial, registration: first.registration, name: first.name }),
+      '      <gx:Track>',
+      '        <altitudeMode>relativeToGround</altitudeMode>',
+      ...track.points.map(point => `        <when>${isoTime(point.timestamp)}</when>`),
+      ...track.points.map(point => `        <gx:coord>${point.longitude} ${point.latitude} ${point.altitude}</gx:coord>`),
+      ...track.points.map(point => `        <gx:angles>${point.yaw} 0 0</gx:angles>`),
+      '      </gx:Track>',
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+};
+
+// GPX 1.1 orders a point's children as ele, time, name/desc, extensions
+const gpxPoint = (tag, point, indent, details = []) => {
+  const extensions = [`<drone:yaw>${point.yaw}</drone:yaw>`];
+  if (point.speed !== null && point.speed !== undefined) {
+    extensions.push(`<drone:speed>${point.speed}</drone:speed>`);
+  }
+  return [
+    `${indent}<${tag} lat="${point.latitude}" lon="${point.longitude}">`,
+    `${indent}  <ele>${point.altitude}</ele>`,
+    `${indent}  <time>${isoTime(point.timestamp)}</time>`,
+    ...details.map(line => `${indent}  ${line}`),
+    `${indent}  <extensions>${extensions.join('')}</extensions>`,
+    `${indent}</${tag}>`
+  ];
+};
+
+const gpxDescription = (track) => track.registration ? `Registration ${track.registration}` : 'No registration';
+
+// Snapshots become waypoints, tracks become <trk> elements; yaw and speed go
+// into <extensions> since GPX 1.1 has no field for them
+export const toGPX = (tracks, { title = 'Drone tracks' } = {}) => {
+  const present = tracks.filter(track => track.points.length > 0);
+  const waypoints = present
+    .filter(track => track.points.length === 1)
+    .flatMap(track => gpxPoint('wpt', track.points[0], '  ', [
+      `<name>${escapeXml(track.serial)}</name>`,
+      `<desc>${escapeXml(gpxDescription(track))}</desc>`
+    ]));
+  const trails = present
+    .filter(track => track.points.length > 1)
+    .flatMap(track => [
+      '  <trk>',
+      `    <name>${escapeXml(trackTitle(track))}</name>`,
+      `    <desc>${escapeXml(gpxDescription(track))}</desc>`,
+      '    <trkseg>',
+      ...track.points.flatMap(point => gpxPoint('trkpt', point, '      ')),
+      '    </trkseg>',
+      '  </trk>'
+    ]);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Drone Tracker" xmlns="http://www.topografix.com/GPX/1/1" xmlns:drone="${GPX_EXTENSION_NAMESPACE}">`,
+    `  <metadata><name>${escapeXml(title)}</name></metadata>`,
+    ...waypoints,
+    ...trails,
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+// One row per point with CSV_COLUMNS as the header
+export const toCSV = (tracks) => [
+  CSV_COLUMNS.join(','),
+  ...tracks.flatMap(track => track.points.map(point => {
+    const fields = pointFields(track, point);
+    return CSV_COLUMNS.map(column => escapeCsv(fields[column])).join(',');
+  })),
+  ''
+].join('\r\n');
+
+const SERIALIZERS = {
+  geojson: (tracks) => JSON.stringify(toGeoJSON(tracks), null, 2),
+  kml: toKML,
+  gpx: toGPX,
+  csv: toCSV
+};
+
+// -> { content, mimeType, extension }; throws for an unknown format
+export const exportTracks = (tracks, format, options = {}) => {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {
+    throw new Error(`Unknown export format "${format}" (${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  const { mimeType, extension } = EXPORT_FORMATS[format];
+  return { content: serialize(tracks, options), mimeType, extension };
+};
+
+// e.g. exportFilename('airspace', 'kml', now) -> 'airspace-2024-05-01T10-30-00Z.kml'
+export const exportFilename = (prefix, format, timestamp = Date.now()) => {
+  const stamp = isoTime(timestamp).replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+  return `${prefix}-${stamp}.${EXPORT_FORMATS[format].extension}`;
+};
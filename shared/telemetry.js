@@ -0,0 +1,198 @@
+import { AUTHORIZATION } from './authorizationRules.js';
+
+// Telemetry schema shared by the server (Sager_Task_Backend) and the dashboard
+// (drone_tracker_frontend). Every position report, whatever its source, is
+// validated and normalized into one flat record:
+//
+//   {
+//     serial,                          // required, non-empty string
+//     registration, name, pilot, organization, status,   // string or null
+//     longitude, latitude,             // required, degrees
+//     altitude,                        // meters, 0 when not reported
+//     yaw,                             // degrees, normalized to [0, 360)
+//     speed,                           // m/s, 0 when not reported
+//     battery, signal,                 // percent, null when not reported
+//     timestamp,                       // epoch ms, null when not reported
+//     authorization                    // authorized | unauthorized | unknown, or
+//                                      // null; set by the server, which classifies
+//                                      // before removing what a role may not see
+//   }
+//
+// Accepted inputs are GeoJSON Point Features (the server's wire format; the
+// legacy capitalized `Name` property is read as `name`) and flat objects with
+// an `id` or `serial` and a `position: { lat, lng, altitude }` (the dashboard's
+// mock generator). Reported zeros are kept as zeros; only missing values fall
+// back to the defaults above.
+
+export const TELEMETRY_FIELDS = {
+  serial: { type: 'string', required: true },
+  registration: { type: 'string' },
+  name: { type: 'string' },
+  pilot: { type: 'string' },
+  organization: { type: 'string' },
+  status: { type: 'string' },
+  longitude: { type: 'number', required: true, min: -180, max: 180 },
+  latitude: { type: 'number', required: true, min: -90, max: 90 },
+  altitude: { type: 'number', min: -500, max: 20000, default: 0 },
+  yaw: { type: 'number', min: -360, max: 360, default: 0 },
+  speed: { type: 'number', min: 0, max: 500, default: 0 },
+  battery: { type: 'number', min: 0, max: 100 },
+  signal: { type: 'number', min: 0, max: 100 },
+  timestamp: { type: 'timestamp' },
+  authorization: { type: 'enum', values: Object.values(AUTHORIZATION) }
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+const firstPresent = (...values) => values.find(value => !isMissing(value));
+
+const describe = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 40)}…` : text;
+};
+
+// Raw field values from either input shape, before validation
+const extractFields = (input) => {
+  if (input.type === 'Feature') {
+    const properties = input.properties || {};
+    const geometry = input.geometry;
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      return { error: 'geometry: must be a GeoJSON Point' };
+    }
+    const [longitude, latitude, coordinateAltitude] = geometry.coordinates;
+    return {
+      fields: {
+        ...properties,
+        name: firstPresent(properties.name, properties.Name),
+        longitude,
+        latitude,
+        altitude: firstPresent(properties.altitude, coordinateAltitude),
+        timestamp: firstPresent(properties.timestamp, properties.lastUpdate)
+      }
+    };
+  }
+
+  const position = input.position || {};
+  return {
+    fields: {
+      ...input,
+      serial: firstPresent(input.serial, input.id),
+      longitude: firstPresent(position.lng, input.longitude),
+      latitude: firstPresent(position.lat, input.latitude),
+      altitude: firstPresent(position.altitude, input.altitude),
+      timestamp: firstPresent(input.timestamp, input.lastUpdate)
+    }
+  };
+};
+
+const checkField = (name, spec, value) => {
+  if (isMissing(value)) {
+    return spec.required ? `${name}: required` : null;
+  }
+
+  if (spec.type === 'string') {
+    if (typeof value !== 'string') return `${name}: must be a string (got ${describe(value)})`;
+    if (spec.required && value.trim() === '') return `${name}: must not be empty`;
+    return null;
+  }
+
+  if (spec.type === 'enum') {
+    return spec.values.includes(value) ? null : `${name}: must be one of ${spec.values.join(', ')} (got ${describe(value)})`;
+  }
+
+  if (spec.type === 'timestamp') {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? null : `${name}: must be epoch milliseconds or an ISO date (got ${describe(value)})`;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < spec.min || value > spec.max) {
+    return `${name}: must be a number between ${spec.min} and ${spec.max} (got ${describe(value)})`;
+  }
+  return null;
+};
+
+// -> { ok: true, record } or { ok: false, serial, errors: [string] }
+export const normalizeTelemetry = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, serial: null, errors: ['message: must be an object'] };
+  }
+
+  const { fields, error } = extractFields(input);
+  if (error) {
+    return { ok: false, serial: input.properties?.serial ?? null, errors: [error] };
+  }
+
+  const errors = Object.entries(TELEMETRY_FIELDS)
+    .map(([name, spec]) => checkField(name, spec, fields[name]))
+    .filter(Boolean);
+  const serial = typeof fields.serial === 'string' ? fields.serial.trim() : null;
+  if (errors.length > 0) {
+    return { ok: false, serial, errors };
+  }
+
+  const record = {};
+  Object.entries(TELEMETRY_FIELDS).forEach(([name, spec]) => {
+    const value = fields[name];
+    record[name] = isMissing(value) ? (spec.default ?? null) : value;
+  });
+  record.serial = serial;
+  record.yaw = ((record.yaw % 360) + 360) % 360;
+  if (record.timestamp !== null && typeof record.timestamp !== 'number') {
+    record.timestamp = Date.parse(record.timestamp);
+  }
+
+  return { ok: true, record };
+};
+
+// A Feature, a FeatureCollection or an array of either input shape.
+// -> { accepted: [record], rejected: [{ index, serial, errors }] }
+// Throws when the payload as a whole is unusable.
+export const parseTelemetryBatch = (payload, { maxBatchSize = Infinity } = {}) => {
+  let items;
+  if (Array.isArray(payload)) {
+    items = payload;
+  } else if (payload && payload.type === 'FeatureCollection') {
+    items = payload.features;
+  } else if (payload && payload.type === 'Feature') {
+    items = [payload];
+  }
+
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a GeoJSON Feature, a FeatureCollection or an array of telemetry messages');
+  }
+  if (items.length > maxBatchSize) {
+    throw new Error(`Batch too large: ${items.length} messages (max ${maxBatchSize})`);
+  }
+
+  const accepted = [];
+  const rejected = [];
+  items.forEach((item, index) => {
+    const result = normalizeTelemetry(item);
+    if (result.ok) {
+      accepted.push(result.record);
+    } else {
+      rejected.push({ index, serial: result.serial, errors: result.errors });
+    }
+  });
+
+  return { accepted, rejected };
+};
+
+// Normalized record -> GeoJSON Point Feature (the server's wire format).
+// Unreported optional fields are left out.
+export const toFeature = (record) => {
+  const properties = {};
+  Object.keys(TELEMETRY_FIELDS).forEach(name => {
+    if (name === 'longitude' || name === 'latitude' || isMissing(record[name])) return;
+    properties[name] = record[name];
+  });
+
+  return {
+    type: 'Feature',
+    properties,
+    geometry: {
+      type: 'Point',
+      coordinates: [record.longitude, record.latitude]
+    }
+  };
+};